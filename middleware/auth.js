@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
+const { findActiveSession } = require('../utils/sessions');
 
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
+    let decoded;
     try {
         const token = req.header('Authorization');
 
@@ -11,11 +13,24 @@ const auth = (req, res, next) => {
         // Handle "Bearer <token>" format if sent from frontend
         const tokenString = token.replace('Bearer ', '');
 
-        const decoded = jwt.verify(tokenString, process.env.JWT_SECRET);
+        decoded = jwt.verify(tokenString, process.env.JWT_SECRET);
+    } catch (err) {
+        return res.status(401).json({ error: 'Token is not valid' });
+    }
+
+    try {
+        // Signed tokens are only honoured while their session is active (logout / revoke end it)
+        const session = await findActiveSession(decoded);
+        if (!session) {
+            return res.status(401).json({ error: 'Session has ended. Please log in again.' });
+        }
+
         req.user = decoded;
+        req.authSession = session;
         next();
     } catch (err) {
-        res.status(401).json({ error: 'Token is not valid' });
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
     }
 };
 
@@ -0,0 +1,69 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Classroom = require('../models/Classroom');
+const { findActiveSession } = require('../utils/sessions');
+const { resolveAdminAccess } = require('../utils/permissions');
+
+const sanitizeRollNumber = (value) => {
+    if (value === undefined || value === null) return null;
+    const cleaned = String(value).trim();
+    return cleaned || null;
+};
+
+// Public student routes stay public for "open" classes. For "protected" classes the caller needs
+// a student token for the same class (and the same roll, when the request names one) or an admin token
+// of the class. classId and rollNumber are read from the URL, else the body.
+// The checked token is put on req.user; it stays unset for open classes.
+const studentAccess = async (req, res, next) => {
+    try {
+        const classId = String(req.params.classId || req.body?.classId || '');
+        // Malformed IDs are rejected by the route itself
+        if (!mongoose.Types.ObjectId.isValid(classId)) return next();
+
+        const classroom = await Classroom.findById(classId).select('studentAccessMode').lean();
+        if (!classroom || classroom.studentAccessMode !== 'protected') return next();
+
+        const token = req.header('Authorization');
+        if (!token) {
+            return res.status(401).json({ error: 'This class requires students to log in with their passcode' });
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(token.replace('Bearer ', ''), process.env.JWT_SECRET);
+        } catch (err) {
+            return res.status(401).json({ error: 'Token is not valid' });
+        }
+
+        const session = await findActiveSession(decoded);
+        if (!session) {
+            return res.status(401).json({ error: 'Session has ended. Please log in again.' });
+        }
+
+        if (String(decoded.classId) !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        if (decoded.role === 'student') {
+            // Pre-session student tokens were issued without a passcode and cannot be revoked
+            if (session.legacy) {
+                return res.status(401).json({ error: 'This class requires students to log in with their passcode' });
+            }
+            const rollNumber = sanitizeRollNumber(req.params.rollNumber ?? req.body?.rollNumber);
+            if (rollNumber !== null && decoded.rollNumber !== rollNumber) {
+                return res.status(403).json({ error: 'You can only view your own attendance' });
+            }
+        } else if (!(await resolveAdminAccess(decoded))) {
+            return res.status(401).json({ error: 'Admin access has been revoked or the PIN was changed. Please log in again.' });
+        }
+
+        req.user = decoded;
+        req.authSession = session;
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+};
+
+module.exports = studentAccess;
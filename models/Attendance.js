@@ -9,13 +9,24 @@ const AttendanceSchema = new mongoose.Schema({
         subjectId: String,
         subjectName: String,
 
+        // Everyone not listed in one of these arrays is present for the period
+        absentRollNumbers: [{ type: String }],
+        lateRollNumbers: [{ type: String }],
+        medicalLeaveRollNumbers: [{ type: String }],
+        onDutyRollNumbers: [{ type: String }],
+        excusedRollNumbers: [{ type: String }]
+    }],
 
-        absentRollNumbers: [{ type: String }]
-    }]
+    // Bumped on every write; clients send it back so stale edits can be rejected
+    version: { type: Number, default: 0 },
+
+    // Set when the term this day belongs to is archived; null for the running term
+    termId: { type: mongoose.Schema.Types.ObjectId, ref: 'Term', default: null }
 }, { timestamps: true }); // Add timestamps for createdAt and updatedAt
 
 AttendanceSchema.index({ classId: 1, date: 1 }, { unique: true });
 AttendanceSchema.index({ classId: 1, updatedAt: -1 });
 AttendanceSchema.index({ classId: 1, 'periods.subjectId': 1, date: -1 });
+AttendanceSchema.index({ classId: 1, termId: 1, date: 1 });
 
 module.exports = mongoose.model('Attendance', AttendanceSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Attendance credited after the fact (approved college events, medical certificates, condonation).
+// Entries are never edited; a wrong one is revoked so the ledger keeps its history.
+const AttendanceAdjustmentSchema = new mongoose.Schema({
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    rollNumber: { type: String, required: true },
+    subjectId: { type: String, required: true },
+    subjectName: { type: String },
+
+    // Either a number of credited periods...
+    credit: { type: Number, min: 0, default: 0 },
+    // ...or specific periods that count as attended
+    periods: [{
+        _id: false,
+        date: { type: Date, required: true }, // UTC midnight like Attendance.date
+        periodNum: { type: Number, required: true }
+    }],
+    // Day a plain credit counts on when a report is limited to a date range
+    effectiveDate: { type: Date, required: true },
+
+    category: { type: String, enum: ['event', 'medical', 'condonation', 'other'], default: 'other' },
+    reason: { type: String, required: true, trim: true, maxlength: 500 },
+    approvedBy: {
+        role: String,
+        adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassAdmin' },
+        name: String
+    },
+
+    revokedAt: { type: Date, default: null },
+    revokedBy: {
+        role: String,
+        adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassAdmin' },
+        name: String
+    },
+    revokeReason: { type: String, trim: true, maxlength: 500 },
+
+    // Set when the term this adjustment belongs to is archived; null for the running term
+    termId: { type: mongoose.Schema.Types.ObjectId, ref: 'Term', default: null }
+}, { timestamps: true });
+
+AttendanceAdjustmentSchema.index({ classId: 1, termId: 1, rollNumber: 1, subjectId: 1 });
+AttendanceAdjustmentSchema.index({ classId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AttendanceAdjustment', AttendanceAdjustmentSchema);
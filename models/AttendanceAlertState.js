@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Last alert level sent per student and subject, so a push goes out once per crossing
+// instead of after every marking while the student stays below the line.
+const AttendanceAlertStateSchema = new mongoose.Schema({
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    rollNumber: { type: String, required: true },
+    subjectId: { type: String, required: true },
+    level: { type: String, enum: ['ok', 'warning', 'below'], default: 'ok' },
+    percentage: { type: Number, default: null },
+    alertedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+AttendanceAlertStateSchema.index({ classId: 1, rollNumber: 1, subjectId: 1 }, { unique: true });
+
+module.exports = mongoose.model('AttendanceAlertState', AttendanceAlertStateSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One entry per mark / edit / delete / restore of an attendance day
+const AttendanceRevisionSchema = new mongoose.Schema({
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    date: { type: Date, required: true },
+    // 'baseline' is the state of a day stored before versioning existed, kept as version 0
+    // on its first tracked change so that clients which loaded it can still merge
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete', 'restore', 'baseline'],
+        required: true
+    },
+    // Attendance.version after this change; lets a merge find the state a client started from
+    version: { type: Number, default: 0 },
+
+    // Snapshot of the day's periods AFTER this change (empty when the day was deleted)
+    periods: [{
+        periodNum: Number,
+        subjectId: String,
+        subjectName: String,
+        absentRollNumbers: [{ type: String }],
+        lateRollNumbers: [{ type: String }],
+        medicalLeaveRollNumbers: [{ type: String }],
+        onDutyRollNumbers: [{ type: String }],
+        excusedRollNumbers: [{ type: String }]
+    }],
+
+    // Per-period, per-roll changes compared with the previous state of the day
+    diff: [{
+        _id: false,
+        periodNum: Number,
+        subjectId: String,
+        subjectName: String,
+        change: { type: String, enum: ['added', 'removed', 'modified'] },
+        previousSubjectId: String,
+        previousSubjectName: String,
+        rolls: [{
+            _id: false,
+            rollNumber: String,
+            from: String, // null when the period did not exist before
+            to: String    // null when the period was removed
+        }]
+    }],
+
+    changedBy: {
+        role: String,
+        adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassAdmin' },
+        name: String
+    },
+    note: { type: String, maxlength: 500 },
+    restoredFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'AttendanceRevision', default: null }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+AttendanceRevisionSchema.index({ classId: 1, date: 1, createdAt: -1 });
+AttendanceRevisionSchema.index({ classId: 1, date: 1, version: -1 });
+
+module.exports = mongoose.model('AttendanceRevision', AttendanceRevisionSchema);
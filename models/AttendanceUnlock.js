@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Audit trail of every exception to attendance locking. Entries are never deleted;
+// a 'day' unlock only lets edits through until expiresAt.
+const AttendanceUnlockSchema = new mongoose.Schema({
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    // 'day'    → one locked date opened for edits
+    // 'policy' → the lock settings were relaxed (cutoff moved earlier or auto-lock loosened)
+    scope: { type: String, enum: ['day', 'policy'], required: true },
+    date: { type: Date, default: null },
+    reason: { type: String, required: true, trim: true, maxlength: 500 },
+    previousLock: {
+        lockedBefore: Date,
+        autoLockAfterDays: Number
+    },
+    unlockedBy: {
+        role: String,
+        adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassAdmin' },
+        name: String
+    },
+    expiresAt: { type: Date, default: null }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+AttendanceUnlockSchema.index({ classId: 1, date: 1, expiresAt: -1 });
+AttendanceUnlockSchema.index({ classId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AttendanceUnlock', AttendanceUnlockSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const CalendarEventSchema = new mongoose.Schema({
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    type: {
+        type: String,
+        enum: ['holiday', 'exam', 'cancelled'],
+        required: true
+    },
+    title: { type: String, required: true, trim: true },
+    // Whole days, inclusive on both ends, stored as UTC midnight like Attendance.date
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    // true → /mark refuses attendance on these days unless forced; false → it only warns
+    blocksAttendance: { type: Boolean, default: true },
+    source: { type: String, enum: ['manual', 'ical'], default: 'manual' },
+    // iCal UID, so re-importing the college calendar updates events instead of duplicating them
+    uid: { type: String, default: null }
+}, { timestamps: true });
+
+CalendarEventSchema.index({ classId: 1, startDate: 1 });
+CalendarEventSchema.index(
+    { classId: 1, uid: 1 },
+    { unique: true, partialFilterExpression: { uid: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('CalendarEvent', CalendarEventSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A named admin account of a class (see utils/permissions.js for what each role may do).
+// The shared class PIN still works and acts as an owner; named accounts make actions attributable.
+const ClassAdminSchema = new mongoose.Schema({
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    email: { type: String, required: true, trim: true, lowercase: true, maxlength: 254 },
+    role: {
+        type: String,
+        enum: ['owner', 'marker', 'reviewer', 'viewer'],
+        required: true
+    },
+
+    // Set when the invite is accepted; the account cannot log in before that
+    passwordHash: { type: String, default: null },
+    acceptedAt: { type: Date, default: null },
+
+    // SHA-256 of the one-time invite token; the token itself is only shown to the inviter
+    inviteTokenHash: { type: String, default: null },
+    inviteExpiresAt: { type: Date, default: null },
+    invitedBy: {
+        role: String,
+        adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassAdmin' },
+        name: String
+    },
+
+    revokedAt: { type: Date, default: null },
+    revokedBy: {
+        role: String,
+        adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassAdmin' },
+        name: String
+    },
+    lastLoginAt: { type: Date, default: null }
+}, { timestamps: true });
+
+ClassAdminSchema.index({ classId: 1, email: 1 }, { unique: true });
+ClassAdminSchema.index({ inviteTokenHash: 1 }, { sparse: true });
+
+module.exports = mongoose.model('ClassAdmin', ClassAdminSchema);
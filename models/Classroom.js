@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 
+// How a non-present status counts towards a student's percentage (see utils/attendanceRules.js)
+const StatusRuleSchema = new mongoose.Schema({
+    credit: { type: Number, min: 0, max: 1 },
+    counted: { type: Boolean }
+}, { _id: false });
+
 const ClassroomSchema = new mongoose.Schema({
     // Keep this field simple; uniqueness is enforced by the collation index below
     className: {
@@ -8,6 +14,27 @@ const ClassroomSchema = new mongoose.Schema({
         trim: true
     },
     adminPin: { type: String, required: true },
+
+    // One-time codes that can reset a forgotten PIN, bcrypt-hashed like adminPin (see utils/recoveryCodes.js)
+    recoveryCodes: [{
+        _id: false,
+        codeHash: { type: String, required: true },
+        usedAt: { type: Date, default: null }
+    }],
+
+    // Copied into every admin token; bumping it (PIN change or reset) invalidates all earlier tokens
+    tokenVersion: { type: Number, default: 0 },
+
+    // The shared PIN logs in as owner. Once the class has named owners one of them can switch it off;
+    // a PIN reset with a recovery code switches it back on.
+    pinLoginEnabled: { type: Boolean, default: true },
+
+    // Tokens issued before sessions existed have no session to revoke. "Sign out everywhere" stamps the
+    // kind it signs out here, and such tokens issued before the stamp are refused (utils/sessions.js).
+    legacySessionsRevokedAt: {
+        admin: { type: Date, default: null },
+        student: { type: Date, default: null }
+    },
     rollNumbers: {
         type: [String],
         required: true,
@@ -28,6 +55,57 @@ const ClassroomSchema = new mongoose.Schema({
         default: []
     },
 
+    // "open": anyone who knows a roll number can see its attendance.
+    // "protected": each roll is claimed with a passcode on first login and needs it afterwards.
+    studentAccessMode: {
+        type: String,
+        enum: ['open', 'protected'],
+        default: 'open'
+    },
+
+    // Unset fields fall back to DEFAULT_RULES in utils/attendanceRules.js
+    attendanceRules: {
+        late: StatusRuleSchema,
+        medicalLeave: StatusRuleSchema,
+        onDuty: StatusRuleSchema,
+        excused: StatusRuleSchema
+    },
+
+    // Finalised attendance: days before lockedBefore, and days older than autoLockAfterDays,
+    // can only be edited after an explicit, recorded unlock (see utils/attendanceLock.js)
+    attendanceLock: {
+        lockedBefore: { type: Date, default: null },
+        autoLockAfterDays: { type: Number, min: 1, default: null }
+    },
+
+    // Low-attendance pushes to individual students (see utils/attendanceAlerts.js):
+    // 'warning' when a percentage falls within warningBand points above threshold, 'below' under it
+    alertSettings: {
+        enabled: { type: Boolean, default: true },
+        threshold: { type: Number, min: 1, max: 100, default: 75 },
+        warningBand: { type: Number, min: 0, max: 50, default: 5 },
+        // No alerts until a subject has held this many classes, so one early absence is not 0%
+        minimumClasses: { type: Number, min: 1, default: 5 }
+    },
+
+    // The running term; closed terms are archived as Term documents (see routes/classRoutes.js rollover)
+    currentTerm: {
+        name: { type: String, trim: true, default: null },
+        startDate: { type: Date, default: null }
+    },
+
+    // Weekly timetable versions; the latest one with validFrom <= a date applies to that date,
+    // so a mid-semester change never rewrites days that were already marked
+    timetables: [{
+        validFrom: { type: Date, required: true },
+        slots: [{
+            _id: false,
+            weekday: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+            periodNum: { type: Number, min: 1, required: true },
+            subjectId: { type: String, required: true }
+        }]
+    }],
+
     createdAt: { type: Date, default: Date.now }
 });
 
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// One failed admin login or student passcode against an existing class, shown to the class owner
+const LoginFailureSchema = new mongoose.Schema({
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    method: { type: String, enum: ['pin', 'password', 'recovery-code', 'student-passcode'], required: true },
+    // Only for password logins: the email that was tried
+    email: { type: String, default: null },
+    // Only for student passcodes: the roll number that was tried
+    rollNumber: { type: String, default: null },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    // Whether this failure locked the class name or IP out for a while
+    lockedUntil: { type: Date, default: null }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+LoginFailureSchema.index({ classId: 1, createdAt: -1 });
+LoginFailureSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginFailure', LoginFailureSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Failed logins counted per class name or student roll from one IP, and per IP (see utils/loginThrottle.js)
+const LoginThrottleSchema = new mongoose.Schema({
+    // "<target>|ip:<address>" or "ip:<address>"
+    key: { type: String, required: true },
+    // "class:<lower-cased class name>" or "roll:<classId>:<roll number>"; null for IP keys
+    target: { type: String, default: null },
+    failures: { type: Number, default: 0 },
+    lastFailureAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null }
+}, { timestamps: true });
+
+LoginThrottleSchema.index({ key: 1 }, { unique: true });
+LoginThrottleSchema.index({ target: 1 });
+// A key that stays quiet for a day starts from zero again
+LoginThrottleSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginThrottle', LoginThrottleSchema);
@@ -35,6 +35,12 @@ const ReportSchema = new mongoose.Schema({
     adminResponse: {
         type: String,
         maxlength: 500
+    },
+    // Set when the term the report belongs to is archived; null for the running term
+    termId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Term',
+        default: null
     }
 }, { timestamps: true });
 
@@ -42,5 +48,6 @@ const ReportSchema = new mongoose.Schema({
 ReportSchema.index({ classId: 1, status: 1 });
 ReportSchema.index({ classId: 1, studentRoll: 1 });
 ReportSchema.index({ classId: 1, createdAt: -1 });
+ReportSchema.index({ classId: 1, termId: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Report', ReportSchema);
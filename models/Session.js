@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One issued login token (admin or student). middleware/auth.js rejects a token whose
+// session is missing, revoked or expired, so deleting access here takes effect immediately.
+const SessionSchema = new mongoose.Schema({
+    // The JWT's jti claim
+    jti: { type: String, required: true },
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    kind: { type: String, enum: ['admin', 'student'], required: true },
+    adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassAdmin', default: null },
+    rollNumber: { type: String, default: null },
+
+    userAgent: { type: String, default: null },
+    ip: { type: String, default: null },
+
+    // When the login happened; renewals keep it so a session cannot be extended forever
+    startedAt: { type: Date, default: Date.now },
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+
+    revokedAt: { type: Date, default: null },
+    revokedBy: {
+        role: String,
+        adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassAdmin' },
+        name: String
+    },
+    revokeReason: { type: String, default: null }
+}, { timestamps: true });
+
+SessionSchema.index({ jti: 1 }, { unique: true });
+SessionSchema.index({ classId: 1, revokedAt: 1, expiresAt: 1 });
+// Expired sessions are cleaned up by MongoDB a day after they lapse
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A student's passcode for one roll number, set by whoever claims the roll first.
+// Only checked while the class is in "protected" student access mode.
+const StudentCredentialSchema = new mongoose.Schema({
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    rollNumber: { type: String, required: true, trim: true },
+    passcodeHash: { type: String, required: true },
+    claimedAt: { type: Date, default: Date.now },
+    lastLoginAt: { type: Date, default: null }
+}, { timestamps: true });
+
+StudentCredentialSchema.index({ classId: 1, rollNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('StudentCredential', StudentCredentialSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Optional details for a roll number on the roster. Admin-only: never returned by public routes.
+const StudentProfileSchema = new mongoose.Schema({
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    rollNumber: { type: String, required: true, trim: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    email: { type: String, trim: true, lowercase: true, maxlength: 254, default: null },
+    // Lab batch or section within the class, e.g. "B2"
+    batch: { type: String, trim: true, maxlength: 50, default: null }
+}, { timestamps: true });
+
+StudentProfileSchema.index({ classId: 1, rollNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('StudentProfile', StudentProfileSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// A closed (archived) term of a class. The running term lives on Classroom.currentTerm;
+// rollover snapshots it here and tags its Attendance / Report documents with this termId.
+const TermSchema = new mongoose.Schema({
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: 'Classroom', required: true },
+    name: { type: String, required: true, trim: true },
+    // Inclusive, UTC midnight like Attendance.date; startDate is null when the class had no term set up
+    startDate: { type: Date, default: null },
+    endDate: { type: Date, required: true },
+
+    // What the class looked like while the term ran, so archived reports resolve subjects and rolls
+    subjects: [{
+        name: { type: String, required: true },
+        code: { type: String },
+        totalClassesExpected: { type: Number }
+    }],
+    rollNumbers: { type: [String], default: [] },
+    attendanceRules: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    archivedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+TermSchema.index({ classId: 1, endDate: -1 });
+
+module.exports = mongoose.model('Term', TermSchema);
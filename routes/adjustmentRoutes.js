@@ -0,0 +1,218 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const AttendanceAdjustment = require('../models/AttendanceAdjustment');
+const Classroom = require('../models/Classroom');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../utils/permissions');
+const { ADJUSTMENT_CATEGORIES } = require('../utils/attendanceAdjustments');
+const { describeActor } = require('../utils/attendanceRevisions');
+const { isDateArchived } = require('../utils/attendanceLock');
+const { resolveTerm } = require('../utils/terms');
+const { evaluateAttendanceAlerts } = require('../utils/attendanceAlerts');
+
+// Extract the YYYY-MM-DD part to avoid timezone-driven day shifts (same as attendance dates)
+const normalizeDate = (dateString) => {
+    const datePart = String(dateString).split('T')[0];
+    return new Date(`${datePart}T00:00:00.000Z`);
+};
+
+// A YYYY-MM-DD prefix naming a real day (2024-13-45 and 2024-02-30 are refused, not rolled over)
+const isDateString = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}/.test(String(value || ''))) return false;
+    const date = normalizeDate(value);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === String(value).slice(0, 10);
+};
+
+const sanitizeRollNumber = (value) => {
+    if (value === undefined || value === null) return null;
+    const cleaned = String(value).trim();
+    return cleaned || null;
+};
+
+const getClassRollNumbers = (classroom) => {
+    if (Array.isArray(classroom?.rollNumbers) && classroom.rollNumbers.length > 0) {
+        return classroom.rollNumbers
+            .map((roll) => sanitizeRollNumber(roll))
+            .filter(Boolean);
+    }
+
+    // Legacy fallback for old class documents that only have totalStudents.
+    const totalStudents = Number(classroom?.totalStudents);
+    if (Number.isInteger(totalStudents) && totalStudents > 0) {
+        return Array.from({ length: totalStudents }, (_, index) => String(index + 1));
+    }
+
+    return [];
+};
+
+// @route   POST /api/adjustments
+// @desc    Credit attendance after the fact (Protected)
+//          Body: { classId, rollNumber, subjectId, reason, category?, credit?, periods?: [{ date, periodNum }], effectiveDate? }
+//          credit adds attended periods; periods marks specific date-periods as attended.
+router.post('/', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { classId, subjectId, reason, effectiveDate } = req.body;
+        const rollNumber = sanitizeRollNumber(req.body.rollNumber);
+        const category = req.body.category || 'other';
+
+        if (!classId || !rollNumber || !subjectId) {
+            return res.status(400).json({ error: 'classId, rollNumber and subjectId are required' });
+        }
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        if (!String(reason || '').trim()) {
+            return res.status(400).json({ error: 'A reason is required for every adjustment' });
+        }
+        if (!ADJUSTMENT_CATEGORIES.includes(category)) {
+            return res.status(400).json({ error: `category must be one of ${ADJUSTMENT_CATEGORIES.join(', ')}` });
+        }
+
+        const credit = req.body.credit === undefined ? 0 : Number(req.body.credit);
+        if (!Number.isFinite(credit) || credit < 0) {
+            return res.status(400).json({ error: 'credit must be a positive number of periods' });
+        }
+
+        const requestedPeriods = Array.isArray(req.body.periods) ? req.body.periods : [];
+        if (credit === 0 && requestedPeriods.length === 0) {
+            return res.status(400).json({ error: 'Provide credit or at least one period to credit' });
+        }
+        if (effectiveDate !== undefined && !isDateString(effectiveDate)) {
+            return res.status(400).json({ error: 'effectiveDate must be a YYYY-MM-DD date' });
+        }
+
+        const classroom = await Classroom.findById(classId).select('subjects rollNumbers totalStudents currentTerm').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        if (!getClassRollNumbers(classroom).includes(rollNumber)) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        const subject = (classroom.subjects || []).find((candidate) => candidate._id.toString() === String(subjectId));
+        if (!subject) {
+            return res.status(400).json({ error: 'subjectId does not match a subject of this class' });
+        }
+
+        // Every credited period has to exist and belong to the subject
+        const periods = [];
+        for (const entry of requestedPeriods) {
+            const periodNum = Number(entry?.periodNum);
+            if (!isDateString(entry?.date) || !Number.isInteger(periodNum)) {
+                return res.status(400).json({ error: 'Each period needs a YYYY-MM-DD date and a periodNum' });
+            }
+
+            const date = normalizeDate(entry.date);
+            if (isDateArchived(classroom, date)) {
+                return res.status(400).json({ error: `${entry.date} belongs to an archived term` });
+            }
+
+            const record = await Attendance.findOne({ classId, date }).select('periods').lean();
+            const period = (record?.periods || []).find((candidate) => candidate.periodNum === periodNum);
+            if (!period || String(period.subjectId) !== String(subjectId)) {
+                return res.status(400).json({ error: `No ${subject.name} period ${periodNum} on ${entry.date}` });
+            }
+            periods.push({ date, periodNum });
+        }
+
+        const adjustment = await AttendanceAdjustment.create({
+            classId,
+            rollNumber,
+            subjectId: String(subjectId),
+            subjectName: subject.name,
+            credit,
+            periods,
+            effectiveDate: effectiveDate ? normalizeDate(effectiveDate) : normalizeDate(new Date().toISOString()),
+            category,
+            reason: String(reason).trim(),
+            approvedBy: describeActor(req.user)
+        });
+
+        // Alert levels follow the adjusted percentage
+        evaluateAttendanceAlerts(classId, [String(subjectId)])
+            .catch((err) => console.error('Attendance alert error:', err));
+
+        res.status(201).json({ message: 'Adjustment recorded', adjustment });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   GET /api/adjustments/class/:classId
+// @desc    The adjustments ledger of a class, newest first (Protected)
+//          Optional ?rollNumber= &subjectId= &term=<termId> &includeRevoked=true
+router.get('/class/:classId', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:view'))) return;
+        const { classId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(classId)) {
+            return res.status(400).json({ error: 'Invalid Class ID' });
+        }
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        const { termId, statusCode, error } = await resolveTerm(classId, req.query.term);
+        if (error) return res.status(statusCode).json({ error });
+
+        const filter = { classId, termId };
+        const rollNumber = sanitizeRollNumber(req.query.rollNumber);
+        if (rollNumber) filter.rollNumber = rollNumber;
+        if (req.query.subjectId) filter.subjectId = String(req.query.subjectId);
+        if (req.query.includeRevoked !== 'true') filter.revokedAt = null;
+
+        const adjustments = await AttendanceAdjustment.find(filter).sort({ createdAt: -1 }).lean();
+        res.json({ adjustments });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   POST /api/adjustments/:id/revoke
+// @desc    Withdraw an adjustment; it stays in the ledger but no longer counts (Protected)
+router.post('/:id/revoke', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ error: 'Invalid Adjustment ID' });
+        }
+
+        const adjustment = await AttendanceAdjustment.findById(id);
+        if (!adjustment) return res.status(404).json({ error: 'Adjustment not found' });
+
+        if (adjustment.classId.toString() !== req.user.classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+        if (adjustment.termId) {
+            return res.status(400).json({ error: 'Adjustments of an archived term cannot be changed' });
+        }
+        if (adjustment.revokedAt) {
+            return res.status(400).json({ error: 'Adjustment is already revoked' });
+        }
+
+        adjustment.revokedAt = new Date();
+        adjustment.revokedBy = describeActor(req.user);
+        if (req.body.reason) adjustment.revokeReason = String(req.body.reason).trim();
+        await adjustment.save();
+
+        evaluateAttendanceAlerts(adjustment.classId, [adjustment.subjectId])
+            .catch((err) => console.error('Attendance alert error:', err));
+
+        res.json({ message: 'Adjustment revoked', adjustment });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,303 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const ClassAdmin = require('../models/ClassAdmin');
+const Classroom = require('../models/Classroom');
+const auth = require('../middleware/auth');
+const { requirePermission, ADMIN_ROLES } = require('../utils/permissions');
+const { describeActor } = require('../utils/attendanceRevisions');
+const { issueSessionToken, revokeSessions } = require('../utils/sessions');
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const hashInviteToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// What the admin list shows; hashes never leave the server
+const publicAdmin = (admin) => ({
+    _id: admin._id,
+    name: admin.name,
+    email: admin.email,
+    role: admin.role,
+    status: admin.revokedAt ? 'revoked' : admin.acceptedAt ? 'active' : 'invited',
+    invitedBy: admin.invitedBy,
+    inviteExpiresAt: admin.acceptedAt ? null : admin.inviteExpiresAt,
+    acceptedAt: admin.acceptedAt,
+    revokedAt: admin.revokedAt,
+    lastLoginAt: admin.lastLoginAt,
+    createdAt: admin.createdAt
+});
+
+// @route   GET /api/admins/class/:classId
+// @desc    Named admins of a class with their role and status (Protected, owner)
+router.get('/class/:classId', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'admins:manage'))) return;
+        const { classId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(classId)) {
+            return res.status(400).json({ error: 'Invalid Class ID' });
+        }
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        const classroom = await Classroom.findById(classId).select('pinLoginEnabled').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const admins = await ClassAdmin.find({ classId }).sort({ createdAt: 1 }).lean();
+        res.json({
+            roles: ADMIN_ROLES,
+            pinLoginEnabled: classroom.pinLoginEnabled !== false,
+            admins: admins.map(publicAdmin)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   PUT /api/admins/class/:classId/pin-login
+// @desc    Turn login with the shared class PIN on or off (Protected, named owner)
+//          Body: { enabled }. While off, PIN tokens stop working and only named admins can log in,
+//          so each person gets their own role. A PIN reset with a recovery code turns it back on.
+router.put('/class/:classId/pin-login', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'admins:manage'))) return;
+        const { classId } = req.params;
+        const { enabled } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(classId)) {
+            return res.status(400).json({ error: 'Invalid Class ID' });
+        }
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({ error: 'enabled must be true or false' });
+        }
+
+        // Turning it off from a PIN session would lock the caller out with nobody named to take over
+        if (!enabled && !req.user.adminId) {
+            return res.status(400).json({ error: 'Log in as a named owner to turn off PIN login' });
+        }
+
+        const result = await Classroom.updateOne({ _id: classId }, { $set: { pinLoginEnabled: enabled } });
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+
+        let signedOut = 0;
+        if (!enabled) {
+            signedOut = await revokeSessions(
+                { classId, kind: 'admin', adminId: null },
+                { actor: describeActor(req.user), reason: 'PIN login turned off' }
+            );
+        }
+
+        res.json({ message: `PIN login turned ${enabled ? 'on' : 'off'}`, pinLoginEnabled: enabled, signedOut });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   POST /api/admins/invite
+// @desc    Invite a named admin (Protected, owner)
+//          Body: { classId, name, email, role }. The returned inviteToken is shown once; share it with the invitee.
+//          Inviting a revoked or still-pending email again issues a fresh invite.
+router.post('/invite', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'admins:manage'))) return;
+        const { classId, role } = req.body;
+        const name = String(req.body.name || '').trim();
+        const email = String(req.body.email || '').trim().toLowerCase();
+
+        if (!classId || !name || !email || !role) {
+            return res.status(400).json({ error: 'classId, name, email and role are required' });
+        }
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        if (!ADMIN_ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of ${ADMIN_ROLES.join(', ')}` });
+        }
+        if (!EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({ error: 'A valid email is required' });
+        }
+
+        const existing = await ClassAdmin.findOne({ classId, email });
+        if (existing && existing.acceptedAt && !existing.revokedAt) {
+            return res.status(400).json({ error: 'This email already has admin access to the class' });
+        }
+
+        const inviteToken = crypto.randomBytes(24).toString('hex');
+        const admin = existing || new ClassAdmin({ classId, email });
+        admin.set({
+            name,
+            role,
+            passwordHash: null,
+            acceptedAt: null,
+            inviteTokenHash: hashInviteToken(inviteToken),
+            inviteExpiresAt: new Date(Date.now() + INVITE_TTL_MS),
+            invitedBy: describeActor(req.user),
+            revokedAt: null,
+            revokedBy: undefined
+        });
+        await admin.save();
+
+        res.status(201).json({
+            message: 'Invite created',
+            admin: publicAdmin(admin),
+            inviteToken
+        });
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(400).json({ error: 'This email was just invited' });
+        }
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   POST /api/admins/accept
+// @desc    Accept an invite by choosing a password; returns a login token (Public)
+//          Body: { inviteToken, password }
+router.post('/accept', async (req, res) => {
+    try {
+        const { inviteToken, password } = req.body;
+
+        if (!inviteToken || !password) {
+            return res.status(400).json({ error: 'inviteToken and password are required' });
+        }
+        if (String(password).length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+
+        const admin = await ClassAdmin.findOne({
+            inviteTokenHash: hashInviteToken(inviteToken),
+            acceptedAt: null,
+            revokedAt: null,
+            inviteExpiresAt: { $gt: new Date() }
+        });
+        if (!admin) {
+            return res.status(400).json({ error: 'This invite is invalid or has expired' });
+        }
+
+        const classroom = await Classroom.findById(admin.classId).select('className tokenVersion').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const salt = await bcrypt.genSalt(10);
+        admin.passwordHash = await bcrypt.hash(String(password), salt);
+        admin.acceptedAt = new Date();
+        admin.lastLoginAt = admin.acceptedAt;
+        admin.inviteTokenHash = null;
+        admin.inviteExpiresAt = null;
+        await admin.save();
+
+        const token = await issueSessionToken(req, {
+            classId: admin.classId,
+            role: 'admin',
+            adminId: admin._id,
+            tokenVersion: classroom.tokenVersion || 0
+        });
+
+        res.json({
+            message: 'Invite accepted',
+            classId: admin.classId,
+            className: classroom.className,
+            token,
+            admin: { _id: admin._id, name: admin.name, role: admin.role }
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   PATCH /api/admins/:adminId
+// @desc    Change the role of a named admin (Protected, owner)
+//          Body: { role }
+router.patch('/:adminId', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'admins:manage'))) return;
+        const { adminId } = req.params;
+        const { role } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(adminId)) {
+            return res.status(400).json({ error: 'Invalid Admin ID' });
+        }
+        if (!ADMIN_ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of ${ADMIN_ROLES.join(', ')}` });
+        }
+
+        const admin = await ClassAdmin.findById(adminId);
+        if (!admin) return res.status(404).json({ error: 'Admin not found' });
+
+        if (admin.classId.toString() !== req.user.classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+        if (String(req.user.adminId) === adminId) {
+            return res.status(400).json({ error: 'You cannot change your own role' });
+        }
+        if (admin.revokedAt) {
+            return res.status(400).json({ error: 'This admin has been revoked. Invite them again instead.' });
+        }
+
+        admin.role = role;
+        await admin.save();
+
+        res.json({ message: 'Role updated', admin: publicAdmin(admin) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   POST /api/admins/:adminId/revoke
+// @desc    Revoke a named admin or a pending invite; their tokens stop working at once (Protected, owner)
+router.post('/:adminId/revoke', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'admins:manage'))) return;
+        const { adminId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(adminId)) {
+            return res.status(400).json({ error: 'Invalid Admin ID' });
+        }
+
+        const admin = await ClassAdmin.findById(adminId);
+        if (!admin) return res.status(404).json({ error: 'Admin not found' });
+
+        if (admin.classId.toString() !== req.user.classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+        if (String(req.user.adminId) === adminId) {
+            return res.status(400).json({ error: 'You cannot revoke your own access' });
+        }
+        if (admin.revokedAt) {
+            return res.status(400).json({ error: 'Admin is already revoked' });
+        }
+
+        admin.revokedAt = new Date();
+        admin.revokedBy = describeActor(req.user);
+        admin.inviteTokenHash = null;
+        admin.inviteExpiresAt = null;
+        await admin.save();
+        await revokeSessions({ adminId: admin._id }, { actor: admin.revokedBy, reason: 'Admin access revoked' });
+
+        res.json({ message: 'Admin access revoked', admin: publicAdmin(admin) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+module.exports = router;
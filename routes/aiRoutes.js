@@ -1,19 +1,54 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const Classroom = require('../models/Classroom');
+const { requirePermission } = require('../utils/permissions');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 
-const requireAdminAuth = (req, res) => {
-    if (req.user?.role === 'student') {
-        res.status(403).json({ error: 'Admin authentication required' });
-        return false;
+const sanitizeRollNumber = (value) => {
+    if (value === undefined || value === null) return null;
+    const cleaned = String(value).trim();
+    return cleaned || null;
+};
+
+const getClassRollNumbers = (classroom) => {
+    if (Array.isArray(classroom?.rollNumbers) && classroom.rollNumbers.length > 0) {
+        return classroom.rollNumbers
+            .map((roll) => sanitizeRollNumber(roll))
+            .filter(Boolean);
+    }
+
+    // Legacy fallback for old class documents that only have totalStudents.
+    const totalStudents = Number(classroom?.totalStudents);
+    if (Number.isInteger(totalStudents) && totalStudents > 0) {
+        return Array.from({ length: totalStudents }, (_, index) => String(index + 1));
     }
-    return true;
+
+    return [];
+};
+
+// Split a model answer like "4, 21CS012 23" into roll numbers of the class, spelled as on the roster
+// (case-insensitive). Items that are not on the roster are returned separately instead of being marked.
+const toRollList = (value, roster) => {
+    const byKey = new Map(roster.map((roll) => [roll.toLowerCase(), roll]));
+    const rollNumbers = [];
+    const unmatched = [];
+
+    String(value || '').split(/[\s,;]+/).map(sanitizeRollNumber).filter(Boolean).forEach((item) => {
+        const roll = byKey.get(item.toLowerCase());
+        if (!roll) {
+            if (!unmatched.includes(item)) unmatched.push(item);
+        } else if (!rollNumbers.includes(roll)) {
+            rollNumbers.push(roll);
+        }
+    });
+
+    return { rollNumbers, unmatched };
 };
 
 router.post('/scan-logbook', auth, async (req, res) => {
     try {
-        if (!requireAdminAuth(req, res)) return;
+        if (!(await requirePermission(req, res, 'attendance:mark'))) return;
         const { imageBase64 } = req.body;
         if (!imageBase64) {
             return res.status(400).json({ error: 'No image provided' });
@@ -80,7 +115,7 @@ router.post('/scan-logbook', auth, async (req, res) => {
 
 router.post('/scan-full-logbook', auth, async (req, res) => {
     try {
-        if (!requireAdminAuth(req, res)) return;
+        if (!(await requirePermission(req, res, 'attendance:mark'))) return;
         const { imageBase64 } = req.body;
         if (!imageBase64) {
             return res.status(400).json({ error: 'No image provided' });
@@ -183,7 +218,7 @@ CRITICAL INSTRUCTIONS:
 // Scan a digital app screenshot (color-coded grid: green=present, red=absent, yellow=late)
 router.post('/scan-logbook-app', auth, async (req, res) => {
     try {
-        if (!requireAdminAuth(req, res)) return;
+        if (!(await requirePermission(req, res, 'attendance:mark'))) return;
         const { imageBase64 } = req.body;
         if (!imageBase64) {
             return res.status(400).json({ error: 'No image provided' });
@@ -213,7 +248,7 @@ Each row or cell corresponds to a student roll number.
 INSTRUCTIONS:
 1. Identify all ABSENT (red) roll numbers and all LATE (yellow/orange) roll numbers.
 2. Return ONLY a JSON object with exactly two keys: "absent" and "late".
-3. Each value should be a comma-separated string of roll numbers.
+3. Each value should be a comma-separated string of roll numbers, copied exactly as shown (they may contain letters, e.g. 21CS004).
 4. If none are absent or late, use an empty string.
 5. Do NOT include any markdown, explanation, or text outside the JSON.
 
@@ -282,9 +317,22 @@ Example output: {"absent": "4, 12, 23", "late": "7, 15"}`;
             parsedData = { absent: numbersMatch ? numbersMatch.join(', ') : '', late: '' };
         }
 
+        const absent = parsedData.absent || '';
+        const late = parsedData.late || '';
+
+        // Also hand back arrays shaped like a period's absentRollNumbers / lateRollNumbers for /api/attendance/mark,
+        // checked against the roster so a misread roll is flagged rather than marked on someone else
+        const classroom = await Classroom.findById(req.user.classId).select('rollNumbers totalStudents').lean();
+        const roster = getClassRollNumbers(classroom);
+        const absentRolls = toRollList(absent, roster);
+        const lateRolls = toRollList(late, roster);
+
         res.json({
-            absent: parsedData.absent || '',
-            late: parsedData.late || ''
+            absent,
+            late,
+            absentRollNumbers: absentRolls.rollNumbers,
+            lateRollNumbers: lateRolls.rollNumbers,
+            unmatchedRollNumbers: [...new Set([...absentRolls.unmatched, ...lateRolls.unmatched])]
         });
     } catch (error) {
         console.error('AI App Scan Error:', error);
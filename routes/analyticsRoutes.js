@@ -0,0 +1,308 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const Classroom = require('../models/Classroom');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../utils/permissions');
+const { resolveRules } = require('../utils/attendanceRules');
+const { aggregateClassTallies, expandTallies, buildDailySeries, summarizeRoll } = require('../utils/attendanceStats');
+const { resolveAlertSettings } = require('../utils/attendanceAlerts');
+const { resolveDateRange } = require('../utils/dateRange');
+const { resolveTerm, applyTermSnapshot } = require('../utils/terms');
+const {
+    summarizeAbsenceDay,
+    getTypicalAbsenceRate,
+    compareWithTypical,
+    buildAbsenceDigest
+} = require('../utils/absenceSummary');
+const { weekKey } = require('../utils/attendanceTrend');
+const { loadProfiles } = require('../utils/studentProfiles');
+const { loadClassAdjustments, applyRollAdjustments } = require('../utils/attendanceAdjustments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Extract the YYYY-MM-DD part to avoid timezone-driven day shifts (same as attendance dates)
+const normalizeDate = (dateString) => {
+    const datePart = String(dateString).split('T')[0];
+    return new Date(`${datePart}T00:00:00.000Z`);
+};
+
+// A YYYY-MM-DD prefix naming a real day (2024-13-45 and 2024-02-30 are refused, not rolled over)
+const isDateString = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}/.test(String(value || ''))) return false;
+    const date = normalizeDate(value);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === String(value).slice(0, 10);
+};
+
+const sanitizeRollNumber = (value) => {
+    if (value === undefined || value === null) return null;
+    const cleaned = String(value).trim();
+    return cleaned || null;
+};
+
+const getClassRollNumbers = (classroom) => {
+    if (Array.isArray(classroom?.rollNumbers) && classroom.rollNumbers.length > 0) {
+        return classroom.rollNumbers
+            .map((roll) => sanitizeRollNumber(roll))
+            .filter(Boolean);
+    }
+
+    // Legacy fallback for old class documents that only have totalStudents.
+    const totalStudents = Number(classroom?.totalStudents);
+    if (Number.isInteger(totalStudents) && totalStudents > 0) {
+        return Array.from({ length: totalStudents }, (_, index) => String(index + 1));
+    }
+
+    return [];
+};
+
+const compareRollNumbers = (a, b) =>
+    String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+
+const roundPercentage = (value) => Math.round(value * 10) / 10;
+
+// @route   GET /api/analytics/class/:classId
+// @desc    Roll × subject attendance matrix, per-subject class averages and a daily rate series (Protected)
+//          Query: range (see utils/dateRange.js), from, to (YYYY-MM-DD), term, subjectId (comma-separated),
+//                 sort = rollNumber | overall | <subjectId>, order = asc | desc,
+//                 below = percentage, belowIn = overall | <subjectId> (only students under `below` there)
+//          Student figures include adjustments, like the adjusted figures of the student report; `raw` holds
+//          the marks-only figures for students with adjustments. The daily series is raw marks.
+router.get('/class/:classId', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:view'))) return;
+        const { classId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(classId)) {
+            return res.status(400).json({ error: 'Invalid Class ID' });
+        }
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        const range = await resolveDateRange(req.query, { classId });
+        if (range.error) return res.status(400).json({ error: range.error });
+        const { from, to } = range;
+
+        const below = req.query.below === undefined ? null : Number(req.query.below);
+        if (below !== null && (!Number.isFinite(below) || below < 0 || below > 100)) {
+            return res.status(400).json({ error: 'below must be a percentage between 0 and 100' });
+        }
+
+        const liveClassroom = await Classroom.findById(classId)
+            .select('className subjects rollNumbers totalStudents attendanceRules alertSettings')
+            .lean();
+        if (!liveClassroom) return res.status(404).json({ error: 'Class not found' });
+
+        const { termId, term, statusCode, error } = await resolveTerm(classId, req.query.term);
+        if (error) return res.status(statusCode).json({ error });
+        const classroom = applyTermSnapshot(liveClassroom, term);
+
+        const requestedSubjects = req.query.subjectId ? String(req.query.subjectId).split(',').map((id) => id.trim()) : null;
+        const subjects = (classroom.subjects || []).filter((subject) =>
+            !requestedSubjects || requestedSubjects.includes(subject._id.toString())
+        );
+        if (subjects.length === 0) {
+            return res.status(400).json({ error: 'No matching subjects' });
+        }
+
+        const subjectIds = subjects.map((subject) => subject._id.toString());
+        const sortKey = String(req.query.sort || 'rollNumber');
+        const belowIn = String(req.query.belowIn || 'overall');
+        if (sortKey !== 'rollNumber' && sortKey !== 'overall' && !subjectIds.includes(sortKey)) {
+            return res.status(400).json({ error: 'sort must be rollNumber, overall or one of the selected subject IDs' });
+        }
+        if (belowIn !== 'overall' && !subjectIds.includes(belowIn)) {
+            return res.status(400).json({ error: 'belowIn must be overall or one of the selected subject IDs' });
+        }
+
+        const rollNumbers = getClassRollNumbers(classroom);
+        const rules = resolveRules(classroom);
+        const { threshold } = resolveAlertSettings(classroom);
+
+        // One aggregation gives every roll × subject count and the per-day split for the series
+        const tallies = await aggregateClassTallies({ classId, from, to, termId, subjectIds, byDate: true });
+        const counts = expandTallies(tallies, rollNumbers, subjectIds);
+        const profiles = await loadProfiles(classId);
+        const adjustmentsByRoll = await loadClassAdjustments(classId, rules, { termId, from, to });
+
+        let students = rollNumbers.map((rollNumber) => {
+            const raw = summarizeRoll(counts[rollNumber], subjectIds, rules);
+            const adjustments = adjustmentsByRoll.get(rollNumber);
+            return {
+                rollNumber,
+                profile: profiles.get(rollNumber) || null,
+                ...applyRollAdjustments(raw, adjustments, subjectIds),
+                raw: adjustments ? raw : null
+            };
+        });
+
+        const subjectSummaries = subjects.map((subject) => {
+            const subjectId = subject._id.toString();
+            const withClasses = students.filter((student) => student.subjects[subjectId].total > 0);
+            const percentages = withClasses.map((student) => student.subjects[subjectId].percentage);
+
+            return {
+                _id: subject._id,
+                name: subject.name,
+                code: subject.code,
+                periodsHeld: tallies.periodsBySubject[subjectId] || 0,
+                averagePercentage: percentages.length > 0
+                    ? roundPercentage(percentages.reduce((sum, value) => sum + value, 0) / percentages.length)
+                    : 0,
+                belowThreshold: percentages.filter((value) => value < threshold).length
+            };
+        });
+
+        const totalStudents = students.length;
+        const pick = (student, key) => (key === 'overall' ? student.overall : student.subjects[key]);
+
+        if (below !== null) {
+            students = students.filter((student) => {
+                const figures = pick(student, belowIn);
+                return figures.total > 0 && figures.percentage < below;
+            });
+        }
+
+        const direction = String(req.query.order || 'asc').toLowerCase() === 'desc' ? -1 : 1;
+        students.sort((a, b) => {
+            if (sortKey === 'rollNumber') return direction * compareRollNumbers(a.rollNumber, b.rollNumber);
+            const difference = pick(a, sortKey).percentage - pick(b, sortKey).percentage;
+            return direction * difference || compareRollNumbers(a.rollNumber, b.rollNumber);
+        });
+
+        res.json({
+            className: classroom.className,
+            range,
+            term: term ? { _id: term._id, name: term.name, startDate: term.startDate, endDate: term.endDate } : null,
+            threshold,
+            countingRules: rules,
+            totalStudents,
+            matchingStudents: students.length,
+            subjects: subjectSummaries,
+            students,
+            daily: buildDailySeries(tallies, rollNumbers, rules)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   GET /api/analytics/class/:classId/day/:date
+// @desc    Absences of one attendance day: per period, all day vs some periods, and against
+//          the class's typical absence rate over the previous recorded days (Protected)
+//          These are the marks as taken (figures: 'raw'); adjustments credited later are not applied.
+router.get('/class/:classId/day/:date', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:view'))) return;
+        const { classId, date } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(classId)) {
+            return res.status(400).json({ error: 'Invalid Class ID' });
+        }
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        if (!isDateString(date)) {
+            return res.status(400).json({ error: 'date must be a YYYY-MM-DD date' });
+        }
+
+        const liveClassroom = await Classroom.findById(classId)
+            .select('className subjects rollNumbers totalStudents attendanceRules')
+            .lean();
+        if (!liveClassroom) return res.status(404).json({ error: 'Class not found' });
+
+        const record = await Attendance.findOne({ classId, date: normalizeDate(date) }).lean();
+        if (!record || !record.periods?.length) {
+            return res.status(404).json({ error: 'No attendance recorded for this date' });
+        }
+
+        // A day of an archived term is summarized against that term's roster
+        const { term, statusCode, error } = await resolveTerm(classId, record.termId);
+        if (error) return res.status(statusCode).json({ error });
+        const rollNumbers = getClassRollNumbers(applyTermSnapshot(liveClassroom, term));
+
+        const summary = summarizeAbsenceDay(record, rollNumbers);
+        const typical = await getTypicalAbsenceRate(classId, record.date, rollNumbers, record.termId || null);
+
+        res.json({
+            className: liveClassroom.className,
+            totalStudents: rollNumbers.length,
+            figures: 'raw',
+            ...summary,
+            ...compareWithTypical(summary.absenceRate, typical)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   GET /api/analytics/class/:classId/week/:date
+// @desc    Weekly absence digest for the Monday–Sunday week containing :date (Protected)
+//          Optional ?term=<termId> for a week of an archived term
+//          Like the day summary, built from the marks as taken (figures: 'raw').
+router.get('/class/:classId/week/:date', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:view'))) return;
+        const { classId, date } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(classId)) {
+            return res.status(400).json({ error: 'Invalid Class ID' });
+        }
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        if (!isDateString(date)) {
+            return res.status(400).json({ error: 'date must be a YYYY-MM-DD date' });
+        }
+
+        const liveClassroom = await Classroom.findById(classId)
+            .select('className subjects rollNumbers totalStudents attendanceRules')
+            .lean();
+        if (!liveClassroom) return res.status(404).json({ error: 'Class not found' });
+
+        const { termId, term, statusCode, error } = await resolveTerm(classId, req.query.term);
+        if (error) return res.status(statusCode).json({ error });
+        const rollNumbers = getClassRollNumbers(applyTermSnapshot(liveClassroom, term));
+
+        const weekStart = normalizeDate(weekKey(normalizeDate(date)));
+        const weekEnd = new Date(weekStart.getTime() + 6 * DAY_MS);
+
+        const records = await Attendance.find({
+            classId,
+            termId,
+            date: { $gte: weekStart, $lte: weekEnd },
+            periods: { $exists: true, $not: { $size: 0 } }
+        }).sort({ date: 1 }).lean();
+
+        const digest = buildAbsenceDigest(
+            records.map((record) => summarizeAbsenceDay(record, rollNumbers)),
+            rollNumbers.length
+        );
+        const typical = await getTypicalAbsenceRate(classId, weekStart, rollNumbers, termId);
+
+        res.json({
+            className: liveClassroom.className,
+            term: term ? { _id: term._id, name: term.name, startDate: term.startDate, endDate: term.endDate } : null,
+            weekStart,
+            weekEnd,
+            totalStudents: rollNumbers.length,
+            figures: 'raw',
+            ...digest,
+            ...compareWithTypical(digest.absenceRate, typical)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+module.exports = router;
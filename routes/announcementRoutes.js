@@ -2,16 +2,9 @@ const express = require('express');
 const router = express.Router();
 const Announcement = require('../models/Announcement');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../utils/permissions');
 const { sendPushToClass } = require('../utils/pushService');
 
-const requireAdminAuth = (req, res) => {
-    if (req.user?.role === 'student') {
-        res.status(403).json({ error: 'Admin authentication required' });
-        return false;
-    }
-    return true;
-};
-
 // Get all announcements for a class (Public - students need access)
 router.get('/:classId', async (req, res) => {
     try {
@@ -50,7 +43,7 @@ router.get('/:classId', async (req, res) => {
 // Create new announcement (Protected - admin only)
 router.post('/', auth, async (req, res) => {
     try {
-        if (!requireAdminAuth(req, res)) return;
+        if (!(await requirePermission(req, res, 'announcements:manage'))) return;
         const { classId, title, description, subjectId, subjectName, dueDate } = req.body;
 
         if (!title) {
@@ -95,7 +88,7 @@ router.post('/', auth, async (req, res) => {
 // Update announcement (Protected - admin only)
 router.patch('/:id', auth, async (req, res) => {
     try {
-        if (!requireAdminAuth(req, res)) return;
+        if (!(await requirePermission(req, res, 'announcements:manage'))) return;
         const { title, description, subjectId, subjectName, dueDate } = req.body;
 
         const announcement = await Announcement.findById(req.params.id);
@@ -131,7 +124,7 @@ router.patch('/:id', auth, async (req, res) => {
 // Delete announcement (Protected - admin only)
 router.delete('/:id', auth, async (req, res) => {
     try {
-        if (!requireAdminAuth(req, res)) return;
+        if (!(await requirePermission(req, res, 'announcements:manage'))) return;
         const announcement = await Announcement.findById(req.params.id);
         if (!announcement) return res.status(404).json({ error: 'Announcement not found' });
 
@@ -1,9 +1,34 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Attendance = require('../models/Attendance');
+const AttendanceRevision = require('../models/AttendanceRevision');
 const Classroom = require('../models/Classroom');
+const AttendanceUnlock = require('../models/AttendanceUnlock');
 const auth = require('../middleware/auth');
+const studentAccess = require('../middleware/studentAccess');
+const { requirePermission } = require('../utils/permissions');
 const { sendPushToClass } = require('../utils/pushService');
+const { evaluateAttendanceAlerts } = require('../utils/attendanceAlerts');
+const { notifyChangedRolls } = require('../utils/attendanceNotifications');
+const {
+    STATUS_FIELDS,
+    STATUS_PRECEDENCE,
+    ALL_STATUSES,
+    STATUS_CODES,
+    resolveRules,
+    getRollStatus
+} = require('../utils/attendanceRules');
+const { recordRevision, mergePeriodChanges, diffPeriods, describeActor } = require('../utils/attendanceRevisions');
+const { readSheetRows, toCsv, buildXlsx, XLSX_MIME } = require('../utils/spreadsheet');
+const { aggregateClassTallies, expandTallies, summarizeRoll } = require('../utils/attendanceStats');
+const { parseRegister } = require('../utils/attendanceImport');
+const { getScheduledPeriods } = require('../utils/timetable');
+const { findEventsInRange, eventsOnDate, checkCalendarForDate } = require('../utils/academicCalendar');
+const { isDateArchived, isDateLocked, checkDayWritable, describeLock } = require('../utils/attendanceLock');
+const { resolveTerm, applyTermSnapshot } = require('../utils/terms');
+const { loadProfiles } = require('../utils/studentProfiles');
+const { loadClassAdjustments, applyRollAdjustments } = require('../utils/attendanceAdjustments');
 
 // FIX: Extract date string directly to avoid timezone-driven day shifts
 const normalizeDate = (dateString) => {
@@ -12,6 +37,16 @@ const normalizeDate = (dateString) => {
     return new Date(`${datePart}T00:00:00.000Z`);
 };
 
+const toIsoDay = (date) => new Date(date).toISOString().split('T')[0];
+
+// Optional YYYY-MM-DD query parameter → Date, null when absent, undefined when malformed
+const parseDateQuery = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (!/^\d{4}-\d{2}-\d{2}/.test(String(value))) return undefined;
+    const date = normalizeDate(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
 const sanitizeRollNumber = (value) => {
     if (value === undefined || value === null) return null;
     const cleaned = String(value).trim();
@@ -22,39 +57,337 @@ const normalizePeriodsForStorage = (periods) => {
     if (!Array.isArray(periods)) return [];
 
     return periods.map((period) => {
+        // Shared across all status lists so a roll keeps only its highest-precedence status
         const seen = new Set();
-        const absentRollNumbers = Array.isArray(period.absentRollNumbers)
-            ? period.absentRollNumbers
-                .map((roll) => sanitizeRollNumber(roll))
-                .filter((roll) => {
-                    if (!roll || seen.has(roll)) return false;
-                    seen.add(roll);
-                    return true;
-                })
-            : [];
+        const statusLists = {};
+
+        STATUS_PRECEDENCE.forEach((status) => {
+            const field = STATUS_FIELDS[status];
+            statusLists[field] = Array.isArray(period[field])
+                ? period[field]
+                    .map((roll) => sanitizeRollNumber(roll))
+                    .filter((roll) => {
+                        if (!roll || seen.has(roll)) return false;
+                        seen.add(roll);
+                        return true;
+                    })
+                : [];
+        });
 
         return {
             ...period,
-            absentRollNumbers
+            ...statusLists
         };
     });
 };
 
-const requireAdminAuth = (req, res) => {
-    if (req.user?.role === 'student') {
-        res.status(403).json({ error: 'Admin authentication required' });
-        return false;
+const getClassRollNumbers = (classroom) => {
+    if (Array.isArray(classroom?.rollNumbers) && classroom.rollNumbers.length > 0) {
+        return classroom.rollNumbers
+            .map((roll) => sanitizeRollNumber(roll))
+            .filter(Boolean);
+    }
+
+    // Legacy fallback for old class documents that only have totalStudents.
+    const totalStudents = Number(classroom?.totalStudents);
+    if (Number.isInteger(totalStudents) && totalStudents > 0) {
+        return Array.from({ length: totalStudents }, (_, index) => String(index + 1));
+    }
+
+    return [];
+};
+
+const MAX_WRITE_ATTEMPTS = 3;
+
+const hasExpectation = (expected) => (
+    (expected?.expectedVersion !== undefined && expected?.expectedVersion !== null) || !!expected?.expectedUpdatedAt
+);
+
+// Did the client load an older state of the day than what is stored now?
+const isStale = (previous, expected) => {
+    if (expected.expectedVersion !== undefined && expected.expectedVersion !== null) {
+        return Number(expected.expectedVersion) !== (previous?.version || 0);
+    }
+    const storedAt = previous?.updatedAt ? new Date(previous.updatedAt).getTime() : null;
+    return storedAt !== new Date(expected.expectedUpdatedAt).getTime();
+};
+
+const buildConflict = (current, conflicts = []) => ({
+    conflicts,
+    current: {
+        periods: current?.periods || [],
+        version: current?.version || 0,
+        updatedAt: current?.updatedAt || null
+    }
+});
+
+// Periods as they were at `version`, taken from the revision log ([] for a day that did not exist yet).
+// Version 0 is either no day at all or a legacy day stored without a version, whose periods are
+// in its baseline revision. null when the base cannot be known; the caller then reports a conflict.
+const findBasePeriods = async (classId, date, version) => {
+    // Revisions logged before versioning also default to version 0, so only the baseline counts there
+    const revision = await AttendanceRevision.findOne({
+        classId,
+        date,
+        version: Number(version),
+        ...(Number(version) === 0 ? { action: 'baseline' } : {})
+    }).select('periods').lean();
+    if (revision) return revision.periods.map(({ _id, ...period }) => period);
+    if (Number(version) !== 0) return null;
+
+    // No baseline: fine if the first tracked change created the day, unknown if it changed a legacy day
+    const first = await AttendanceRevision.findOne({ classId, date, version: 1 }).select('action').lean();
+    return !first || first.action === 'create' ? [] : null;
+};
+
+// Keep a legacy day's periods as its version 0 before the first versioned write changes them.
+// Idempotent, so writers racing on the same legacy day store it once.
+const recordLegacyBaseline = async (classId, date, previous) => {
+    if (!previous || previous.version || !previous.periods?.length) return;
+    await AttendanceRevision.updateOne(
+        { classId, date, version: 0, action: 'baseline' },
+        { $setOnInsert: { periods: previous.periods.map(({ _id, ...period }) => period), diff: [] } },
+        { upsert: true }
+    );
+};
+
+// Compare-and-swap of a day's periods against the version in `previous`.
+// Resolves null when someone else wrote the day in between.
+const commitAttendanceDay = async ({ classId, date, previous, periods }) => {
+    if (previous) {
+        const filter = { _id: previous._id, version: previous.version || { $in: [0, null] } };
+
+        if (periods.length === 0) {
+            // Delete the entire attendance document if there are no periods
+            const deleted = await Attendance.findOneAndDelete(filter).select('_id').lean();
+            return deleted ? { record: null, version: (previous.version || 0) + 1 } : null;
+        }
+
+        const record = await Attendance.findOneAndUpdate(
+            filter,
+            { $set: { periods }, $inc: { version: 1 } },
+            { new: true }
+        );
+        return record ? { record, version: record.version } : null;
+    }
+
+    if (periods.length === 0) return { record: null, version: 0 };
+
+    // Continue numbering after a deleted day so old versions never match a re-created one
+    const last = await AttendanceRevision.findOne({ classId, date }).sort({ version: -1 }).select('version').lean();
+    try {
+        const record = await Attendance.create({ classId, date, periods, version: (last?.version || 0) + 1 });
+        return { record, version: record.version };
+    } catch (err) {
+        if (err.code === 11000) return null;
+        throw err;
+    }
+};
+
+/**
+ * Replace a day's periods (deleting the day when none are left) and log the change as a revision.
+ * Pass either the full `periods`, or `update(currentPeriods)` returning `{ periods }` / `{ error, statusCode }`
+ * to derive them from whatever is stored at write time.
+ * When the client says which version it loaded (`expectedVersion` / `expectedUpdatedAt`), stale writes
+ * come back as `{ conflict }` instead — or, with `merge`, are combined period by period with what changed
+ * on the server. Writes without an expectation keep last-write-wins semantics.
+ */
+const writeAttendanceDay = async ({ classId, date, periods, update, expected = {}, merge = false, user, note, restoredFrom }) => {
+    const guarded = hasExpectation(expected);
+
+    for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt += 1) {
+        const previous = await Attendance.findOne({ classId, date }).select('periods version updatedAt').lean();
+        let nextPeriods = periods;
+        let merged = false;
+
+        if (update) {
+            const result = update(previous?.periods || []);
+            if (result.error) return { error: result };
+            nextPeriods = result.periods;
+        }
+
+        if (guarded && isStale(previous, expected)) {
+            if (!merge || expected.expectedVersion === undefined || expected.expectedVersion === null) {
+                return { conflict: buildConflict(previous) };
+            }
+
+            const base = await findBasePeriods(classId, date, expected.expectedVersion);
+            if (!base) return { conflict: buildConflict(previous) };
+
+            const result = mergePeriodChanges(base, previous?.periods || [], periods);
+            if (result.conflicts.length > 0) return { conflict: buildConflict(previous, result.conflicts) };
+
+            nextPeriods = result.periods;
+            merged = true;
+        }
+
+        await recordLegacyBaseline(classId, date, previous);
+        const committed = await commitAttendanceDay({ classId, date, previous, periods: nextPeriods });
+        if (!committed) continue; // Lost a race — re-read and re-check
+
+        const revision = await recordRevision({
+            classId,
+            date,
+            version: committed.version,
+            before: previous?.periods,
+            after: committed.record ? committed.record.toObject().periods : [],
+            user,
+            note,
+            restoredFrom
+        });
+
+        return { previous, record: committed.record, revision, merged };
     }
-    return true;
+
+    const current = await Attendance.findOne({ classId, date }).select('periods version updatedAt').lean();
+    return { conflict: buildConflict(current) };
+};
+
+const sendConflict = (res, conflict) => res.status(409).json({
+    error: 'This day was changed by someone else. Reload it and try again.',
+    ...conflict
+});
+
+const sendCalendarBlocked = (res, date, blocked) => res.status(400).json({
+    error: `Attendance cannot be marked on ${toIsoDay(date)} (${blocked.map((event) => event.title).join(', ')}). Send force: true to mark it anyway.`,
+    calendarEvents: blocked
+});
+
+// Recompute low-attendance alerts for the subjects a write touched (non-blocking, fire-and-forget)
+const triggerAttendanceAlerts = (classId, ...periodLists) => {
+    const subjectIds = [...new Set(
+        periodLists.flat().filter((period) => period?.subjectId).map((period) => String(period.subjectId))
+    )];
+    if (subjectIds.length === 0) return;
+    evaluateAttendanceAlerts(classId, subjectIds)
+        .catch((err) => console.error('Attendance alert error:', err));
+};
+
+const sendDayLocked = (res, date, archived = false) => res.status(423).json({
+    error: archived
+        ? `Attendance for ${toIsoDay(date)} belongs to an archived term and cannot be changed.`
+        : `Attendance for ${toIsoDay(date)} is finalised. Unlock the day with a reason before editing it.`,
+    locked: true,
+    archived,
+    date: toIsoDay(date)
+});
+
+// How long a day unlock keeps a finalised day editable
+const DEFAULT_UNLOCK_HOURS = 24;
+const MAX_UNLOCK_HOURS = 7 * 24;
+
+const PERIOD_OPERATIONS = ['addPeriod', 'removePeriod', 'setSubject', 'setRollStatus'];
+
+const findSubject = (classroom, subjectId) => (classroom.subjects || [])
+    .find((subject) => subject._id.toString() === String(subjectId));
+
+const sortPeriods = (periods) => [...periods].sort((a, b) => (a.periodNum ?? 0) - (b.periodNum ?? 0));
+
+/**
+ * Apply one granular operation to a day's periods.
+ * @returns {{ periods: Array } | { error: string, statusCode: number }}
+ */
+const applyPeriodOperation = (periods, operation, classroom) => {
+    const op = operation?.op;
+    const periodNum = Number(operation?.periodNum);
+
+    if (!PERIOD_OPERATIONS.includes(op)) {
+        return { error: `Unknown operation: ${op}. Use one of ${PERIOD_OPERATIONS.join(', ')}`, statusCode: 400 };
+    }
+    if (!Number.isInteger(periodNum) || periodNum < 1) {
+        return { error: 'A valid periodNum is required', statusCode: 400 };
+    }
+
+    const index = periods.findIndex((period) => Number(period.periodNum) === periodNum);
+    if (op !== 'addPeriod' && index === -1) {
+        return { error: `Period ${periodNum} not found on this day`, statusCode: 404 };
+    }
+
+    if (op === 'addPeriod' || op === 'setSubject') {
+        const subject = findSubject(classroom, operation.subjectId);
+        if (!subject) {
+            return { error: 'subjectId does not match a subject of this class', statusCode: 400 };
+        }
+        const subjectFields = { subjectId: subject._id.toString(), subjectName: subject.name };
+
+        if (op === 'setSubject') {
+            return { periods: periods.map((period, i) => (i === index ? { ...period, ...subjectFields } : period)) };
+        }
+
+        if (index !== -1) {
+            return { error: `Period ${periodNum} already exists on this day`, statusCode: 409 };
+        }
+        const [period] = normalizePeriodsForStorage([{ ...operation, periodNum, ...subjectFields }]);
+        delete period.op;
+        return { periods: sortPeriods([...periods, period]) };
+    }
+
+    if (op === 'removePeriod') {
+        return { periods: periods.filter((_, i) => i !== index) };
+    }
+
+    // setRollStatus — without a status it toggles between absent and present
+    const rollNumber = sanitizeRollNumber(operation.rollNumber);
+    if (!rollNumber || !getClassRollNumbers(classroom).includes(rollNumber)) {
+        return { error: 'rollNumber does not belong to this class', statusCode: 400 };
+    }
+
+    const period = periods[index];
+    const status = operation.status
+        || (getRollStatus(period, rollNumber) === 'absent' ? 'present' : 'absent');
+    if (!ALL_STATUSES.includes(status)) {
+        return { error: `Unknown status: ${status}. Use one of ${ALL_STATUSES.join(', ')}`, statusCode: 400 };
+    }
+
+    const updated = { ...period };
+    Object.values(STATUS_FIELDS).forEach((field) => {
+        updated[field] = (period[field] || []).filter((roll) => sanitizeRollNumber(roll) !== rollNumber);
+    });
+    if (status !== 'present') {
+        updated[STATUS_FIELDS[status]].push(rollNumber);
+    }
+
+    return { periods: periods.map((p, i) => (i === index ? updated : p)) };
+};
+
+// Timetable periods for the day, overlaid with whatever the admin entered for the same periodNum
+// (usually just status lists; a subjectId there records a substitution). Entered periods the
+// timetable does not have are kept as extra classes. Entered subjects must belong to the class and
+// their name is taken from it, so a substitution is not stored under the timetabled subject's name.
+const fillFromTimetable = (scheduled, entered, subjects) => {
+    const enteredPeriods = Array.isArray(entered) ? entered : [];
+    const subjectsById = new Map((subjects || []).map((subject) => [subject._id.toString(), subject]));
+
+    const unknown = enteredPeriods.find((period) => period.subjectId && !subjectsById.has(String(period.subjectId)));
+    if (unknown) {
+        return { error: `Period ${unknown.periodNum}: subjectId ${unknown.subjectId} is not a subject of this class` };
+    }
+
+    const withSubjectName = (period) => (period.subjectId
+        ? { ...period, subjectId: String(period.subjectId), subjectName: subjectsById.get(String(period.subjectId)).name }
+        : period);
+    const enteredByNum = new Map(enteredPeriods.map((period) => [Number(period.periodNum), withSubjectName(period)]));
+
+    const periods = scheduled.map((slot) => {
+        const overrides = enteredByNum.get(slot.periodNum);
+        enteredByNum.delete(slot.periodNum);
+        return { ...slot, ...overrides, periodNum: slot.periodNum };
+    });
+
+    enteredByNum.forEach((period) => {
+        if (period.subjectId) periods.push(period);
+    });
+
+    return { periods: periods.sort((a, b) => (a.periodNum ?? 0) - (b.periodNum ?? 0)) };
 };
 
 // @route   POST /api/attendance/mark
 router.post('/mark', auth, async (req, res) => {
     try {
-        if (!requireAdminAuth(req, res)) return;
-        const { classId, date, periods } = req.body;
+        if (!(await requirePermission(req, res, 'attendance:mark'))) return;
+        const { classId, date, periods, useTimetable } = req.body;
 
-        if (!classId || !date || !periods) {
+        if (!classId || !date || (!periods && !useTimetable)) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
 
@@ -63,40 +396,654 @@ router.post('/mark', auth, async (req, res) => {
         }
 
         const searchDate = normalizeDate(date);
-        const normalizedPeriods = normalizePeriodsForStorage(periods);
 
-        let updatedRecord;
-        if (normalizedPeriods.length === 0) {
-            // Delete the entire attendance document if there are no periods
-            await Attendance.findOneAndDelete({ classId: classId, date: searchDate });
-            updatedRecord = null;
-        } else {
-            updatedRecord = await Attendance.findOneAndUpdate(
-                { classId: classId, date: searchDate },
-                { $set: { periods: normalizedPeriods } },
-                { new: true, upsert: true }
-            );
+        const classroom = await Classroom.findById(classId).select('className subjects timetables attendanceLock currentTerm blockedRollNumbers').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const { locked, archived } = await checkDayWritable(classroom, searchDate);
+        if (locked) return sendDayLocked(res, searchDate, archived);
+
+        let incomingPeriods = periods;
+        if (useTimetable) {
+            const { periods: scheduled } = getScheduledPeriods(classroom, searchDate);
+            if (scheduled.length === 0) {
+                return res.status(400).json({ error: 'The timetable has no periods on this date' });
+            }
+            const filled = fillFromTimetable(scheduled, periods, classroom.subjects);
+            if (filled.error) return res.status(400).json({ error: filled.error });
+            incomingPeriods = filled.periods;
         }
 
-        res.json({ message: 'Attendance Saved Successfully!', data: updatedRecord });
+        const normalizedPeriods = normalizePeriodsForStorage(incomingPeriods);
+
+        // Holidays / cancelled days refuse attendance unless forced; exam days only warn
+        let calendarWarnings = [];
+        if (normalizedPeriods.length > 0) {
+            const { blocked, warnings } = await checkCalendarForDate(classId, searchDate);
+            if (blocked.length > 0 && req.body.force !== true) {
+                return sendCalendarBlocked(res, searchDate, blocked);
+            }
+            calendarWarnings = [...blocked, ...warnings];
+        }
+
+        const { expectedVersion, expectedUpdatedAt, mode } = req.body;
+        const { previous, record: updatedRecord, conflict, merged } = await writeAttendanceDay({
+            classId,
+            date: searchDate,
+            periods: normalizedPeriods,
+            expected: { expectedVersion, expectedUpdatedAt },
+            merge: mode === 'merge',
+            user: req.user,
+            note: req.body.note
+        });
+
+        if (conflict) return sendConflict(res, conflict);
+
+        res.json({
+            message: merged ? 'Attendance merged with changes made by someone else' : 'Attendance Saved Successfully!',
+            data: updatedRecord,
+            merged: !!merged,
+            warnings: calendarWarnings
+        });
 
         // Send push notifications (non-blocking, fire-and-forget)
+        // Students whose own status changed get a personal summary instead of the generic update
+        const notifiedRolls = notifyChangedRolls({
+            classId,
+            date: searchDate,
+            before: previous?.periods || [],
+            after: updatedRecord?.periods || [],
+            excludeRollNumbers: classroom.blockedRollNumbers || []
+        });
+
         if (normalizedPeriods.length > 0) {
-            Classroom.findById(classId).select('className').lean()
-                .then(cls => {
-                    const name = cls?.className || 'your class';
-                    const dateLabel = new Date(date + 'T00:00:00').toLocaleDateString('en-US', {
-                        month: 'short', day: 'numeric'
-                    });
-                    sendPushToClass(classId, {
-                        title: `📋 Attendance Updated`,
-                        body: `${name} — ${dateLabel}`,
-                        url: '/'
-                    });
-                })
-                .catch(() => { });
+            const name = classroom.className || 'your class';
+            const dateLabel = new Date(toIsoDay(searchDate) + 'T00:00:00').toLocaleDateString('en-US', {
+                month: 'short', day: 'numeric'
+            });
+            sendPushToClass(classId, {
+                title: `📋 Attendance Updated`,
+                body: `${name} — ${dateLabel}`,
+                url: '/'
+            }, { excludeRollNumbers: notifiedRolls });
+        }
+
+        triggerAttendanceAlerts(classId, previous?.periods || [], updatedRecord?.periods || []);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   PATCH /api/attendance/day/:classId/:date
+// @desc    Granular edits on one day without re-sending it (Protected)
+//          Body: a single { op, periodNum, ... } or { operations: [...] }, applied together or not at all.
+//          op = addPeriod { subjectId } | removePeriod | setSubject { subjectId } | setRollStatus { rollNumber, status? }
+router.patch('/day/:classId/:date', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'attendance:mark'))) return;
+        const { classId, date } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(classId)) {
+            return res.status(400).json({ error: 'Invalid Class ID' });
+        }
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        const operations = Array.isArray(req.body.operations) ? req.body.operations : [req.body];
+        if (operations.length === 0) {
+            return res.status(400).json({ error: 'At least one operation is required' });
+        }
+
+        const classroom = await Classroom.findById(classId).select('subjects rollNumbers totalStudents attendanceLock currentTerm blockedRollNumbers').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const searchDate = normalizeDate(date);
+        const { locked, archived } = await checkDayWritable(classroom, searchDate);
+        if (locked) return sendDayLocked(res, searchDate, archived);
+
+        if (operations.some((operation) => operation?.op === 'addPeriod') && req.body.force !== true) {
+            const { blocked } = await checkCalendarForDate(classId, searchDate);
+            if (blocked.length > 0) return sendCalendarBlocked(res, searchDate, blocked);
+        }
+
+        const { expectedVersion, expectedUpdatedAt } = req.body;
+        const { previous, record, conflict, error } = await writeAttendanceDay({
+            classId,
+            date: searchDate,
+            update: (currentPeriods) => {
+                let periods = currentPeriods;
+                for (const operation of operations) {
+                    const result = applyPeriodOperation(periods, operation, classroom);
+                    if (result.error) return result;
+                    periods = result.periods;
+                }
+                return { periods: normalizePeriodsForStorage(periods) };
+            },
+            expected: { expectedVersion, expectedUpdatedAt },
+            user: req.user,
+            note: req.body.note
+        });
+
+        if (conflict) return sendConflict(res, conflict);
+        if (error) return res.status(error.statusCode).json({ error: error.error });
+
+        res.json({ message: 'Attendance updated successfully', data: record });
+
+        notifyChangedRolls({
+            classId,
+            date: searchDate,
+            before: previous?.periods || [],
+            after: record?.periods || [],
+            excludeRollNumbers: classroom.blockedRollNumbers || []
+        });
+        triggerAttendanceAlerts(classId, previous?.periods || [], record?.periods || []);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   POST /api/attendance/import
+// @desc    Bulk import historical attendance from a CSV/XLSX register (Protected)
+//          Runs as a dry run (preview only) unless dryRun is explicitly false.
+//          Days that already exist are only replaced when overwrite is true, and never from a day that has
+//          rows with errors (action "partial"): writing only its valid rows would delete the other periods.
+router.post('/import', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'attendance:mark'))) return;
+        const { classId, fileBase64, fileName, format, sheetName } = req.body;
+        const dryRun = req.body.dryRun !== false;
+        const overwrite = req.body.overwrite === true;
+
+        if (!classId || !fileBase64) {
+            return res.status(400).json({ error: 'classId and fileBase64 are required' });
+        }
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        const classroom = await Classroom.findById(classId).select('subjects rollNumbers totalStudents attendanceLock currentTerm').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const { rows, error } = await readSheetRows({ fileBase64, fileName, format, sheetName });
+        if (error) return res.status(400).json({ error });
+
+        const { layout, days, errors } = parseRegister(rows, classroom, getClassRollNumbers(classroom));
+        const dates = Object.keys(days).sort();
+        const datesWithErrors = new Set(errors.filter((item) => item.date).map((item) => item.date));
+
+        const existingRecords = await Attendance.find({
+            classId,
+            date: { $in: dates.map(normalizeDate) }
+        }).select('date periods version').lean();
+        const existingByDate = new Map(
+            existingRecords.map((record) => [record.date.toISOString().split('T')[0], record])
+        );
+
+        const calendarEvents = dates.length > 0
+            ? await findEventsInRange(classId, normalizeDate(dates[0]), normalizeDate(dates[dates.length - 1]))
+            : [];
+
+        // Finalised days are only written when they currently have an active unlock
+        const lockedDates = dates.filter((date) => isDateLocked(classroom, normalizeDate(date)));
+        const unlockedDates = lockedDates.length > 0
+            ? new Set((await AttendanceUnlock.find({
+                classId,
+                scope: 'day',
+                date: { $in: lockedDates.map(normalizeDate) },
+                expiresAt: { $gt: new Date() }
+            }).select('date').lean()).map((unlock) => toIsoDay(unlock.date)))
+            : new Set();
+
+        const plan = dates.map((date) => {
+            const existing = existingByDate.get(date);
+            const events = eventsOnDate(calendarEvents, normalizeDate(date));
+            let action = 'create';
+            if (existing && existing.periods?.length > 0) {
+                if (diffPeriods(existing.periods, days[date]).length === 0) action = 'unchanged';
+                else if (!overwrite) action = 'skip';
+                else action = datesWithErrors.has(date) ? 'partial' : 'overwrite';
+            }
+            if (action !== 'unchanged' && req.body.force !== true && events.some((event) => event.blocksAttendance)) {
+                action = 'blocked';
+            }
+            if ((action === 'create' || action === 'overwrite') && lockedDates.includes(date) && !unlockedDates.has(date)) {
+                action = 'locked';
+            }
+            if (action !== 'unchanged' && isDateArchived(classroom, normalizeDate(date))) action = 'archived';
+
+            return {
+                date,
+                action,
+                periods: days[date].length,
+                rowErrors: errors.filter((item) => item.date === date).length,
+                existingPeriods: existing?.periods?.length || 0,
+                calendarEvents: events.map((event) => ({ type: event.type, title: event.title }))
+            };
+        });
+
+        const summary = plan.reduce((acc, item) => {
+            acc[item.action] = (acc[item.action] || 0) + 1;
+            return acc;
+        }, { create: 0, overwrite: 0, skip: 0, partial: 0, unchanged: 0, blocked: 0, locked: 0, archived: 0 });
+
+        if (dryRun) {
+            return res.json({ dryRun: true, layout, summary, plan, errors });
+        }
+
+        if (errors.length > 0 && req.body.ignoreErrors !== true) {
+            return res.status(400).json({
+                error: 'The file has errors. Fix them, or send ignoreErrors: true to import only the valid rows.',
+                errors
+            });
+        }
+
+        for (const item of plan) {
+            if (item.action !== 'create' && item.action !== 'overwrite') continue;
+
+            const existing = existingByDate.get(item.date);
+            const { conflict } = await writeAttendanceDay({
+                classId,
+                date: normalizeDate(item.date),
+                periods: normalizePeriodsForStorage(days[item.date]),
+                // Fail the day instead of clobbering an edit made since the preview was built
+                expected: { expectedVersion: existing?.version || 0 },
+                user: req.user,
+                note: `Imported from ${fileName || 'spreadsheet'}`
+            });
+
+            if (conflict) item.action = 'conflict';
+        }
+
+        const written = plan.filter((item) => item.action === 'create' || item.action === 'overwrite');
+        triggerAttendanceAlerts(classId, ...written.map((item) => days[item.date]));
+
+        res.json({
+            message: 'Attendance imported successfully',
+            dryRun: false,
+            layout,
+            summary: {
+                ...summary,
+                conflict: plan.filter((item) => item.action === 'conflict').length
+            },
+            plan,
+            errors
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+const sortRollNumbers = (rolls) => [...rolls].sort((a, b) =>
+    String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' })
+);
+
+// Name and batch columns that follow the roll number on every export sheet
+const profileCells = (profiles, roll) => {
+    const profile = profiles.get(roll);
+    return [profile?.name || '', profile?.batch || ''];
+};
+
+// Rows of the per-subject totals sheet: one row per student, attended/total/% per subject plus overall
+const buildSummaryRows = ({ rollNumbers, subjects, counts, rules, profiles, adjustmentsByRoll }) => {
+    const subjectIds = subjects.map((subject) => subject._id.toString());
+    const header = ['Roll No', 'Name', 'Batch'];
+    subjects.forEach((subject) => {
+        header.push(`${subject.name} Attended`, `${subject.name} Total`, `${subject.name} %`);
+    });
+    header.push('Overall Attended', 'Overall Total', 'Overall %');
+
+    const rows = rollNumbers.map((roll) => {
+        const summary = applyRollAdjustments(summarizeRoll(counts[roll], subjectIds, rules), adjustmentsByRoll.get(roll), subjectIds);
+        const row = [roll, ...profileCells(profiles, roll)];
+        subjectIds.forEach((subjectId) => {
+            const { attended, total, percentage } = summary.subjects[subjectId];
+            row.push(attended, total, percentage);
+        });
+        row.push(summary.overall.attended, summary.overall.total, summary.overall.percentage);
+        return row;
+    });
+
+    return [header, ...rows];
+};
+
+// Rows of the register sheet: students down the rows, one column per date + period.
+// The period columns are the marks as taken; the totals include adjustments.
+const buildRegisterRows = ({ rollNumbers, subjects, records, counts, rules, profiles, adjustmentsByRoll }) => {
+    const subjectIds = subjects.map((subject) => subject._id.toString());
+    const columns = [];
+
+    records.forEach((record) => {
+        [...record.periods]
+            .filter((period) => subjectIds.includes(String(period.subjectId)))
+            .sort((a, b) => (a.periodNum ?? 0) - (b.periodNum ?? 0))
+            .forEach((period) => {
+                columns.push({
+                    label: `${toIsoDay(record.date)} P${period.periodNum ?? '?'} ${period.subjectName || ''}`.trim(),
+                    period
+                });
+            });
+    });
+
+    const header = ['Roll No', 'Name', 'Batch', ...columns.map((column) => column.label), 'Attended', 'Total', '%'];
+    const rows = rollNumbers.map((roll) => {
+        const { overall } = applyRollAdjustments(summarizeRoll(counts[roll], subjectIds, rules), adjustmentsByRoll.get(roll), subjectIds);
+        return [
+            roll,
+            ...profileCells(profiles, roll),
+            ...columns.map(({ period }) => STATUS_CODES[getRollStatus(period, roll)]),
+            overall.attended,
+            overall.total,
+            overall.percentage
+        ];
+    });
+
+    return [header, ...rows];
+};
+
+// @route   GET /api/attendance/export/:classId
+// @desc    Download the attendance register (Protected)
+//          ?format=csv|xlsx  ?layout=summary|register  ?from=YYYY-MM-DD  ?to=YYYY-MM-DD  ?subjectId=id[,id]  ?term=<termId>
+//          Totals use the class counting rules and include adjustments, so they match the adjusted figures
+//          of the student report.
+router.get('/export/:classId', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:view'))) return;
+        const { classId } = req.params;
+        const format = String(req.query.format || 'csv').toLowerCase();
+        const layout = String(req.query.layout || 'summary').toLowerCase();
+
+        if (!mongoose.Types.ObjectId.isValid(classId)) {
+            return res.status(400).json({ error: 'Invalid Class ID' });
+        }
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        if (!['csv', 'xlsx'].includes(format)) {
+            return res.status(400).json({ error: 'format must be csv or xlsx' });
+        }
+        if (!['summary', 'register'].includes(layout)) {
+            return res.status(400).json({ error: 'layout must be summary or register' });
+        }
+
+        const from = parseDateQuery(req.query.from);
+        const to = parseDateQuery(req.query.to);
+        if (from === undefined || to === undefined) {
+            return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates' });
+        }
+
+        const liveClassroom = await Classroom.findById(classId)
+            .select('className subjects rollNumbers totalStudents attendanceRules')
+            .lean();
+        if (!liveClassroom) return res.status(404).json({ error: 'Class not found' });
+
+        // ?term=<termId> exports an archived term with the subjects and roster it had
+        const { termId, term, statusCode, error: termError } = await resolveTerm(classId, req.query.term);
+        if (termError) return res.status(statusCode).json({ error: termError });
+        const classroom = applyTermSnapshot(liveClassroom, term);
+
+        const requestedSubjects = req.query.subjectId ? String(req.query.subjectId).split(',').map((id) => id.trim()) : null;
+        const subjects = (classroom.subjects || []).filter((subject) =>
+            !requestedSubjects || requestedSubjects.includes(subject._id.toString())
+        );
+        if (subjects.length === 0) {
+            return res.status(400).json({ error: 'No matching subjects to export' });
         }
 
+        const subjectIds = subjects.map((subject) => subject._id.toString());
+        const rollNumbers = sortRollNumbers(getClassRollNumbers(classroom));
+        const rules = resolveRules(classroom);
+
+        const tallies = await aggregateClassTallies({ classId, from, to, termId, subjectIds });
+        const counts = expandTallies(tallies, rollNumbers, subjectIds);
+        const profiles = await loadProfiles(classId);
+        const adjustmentsByRoll = await loadClassAdjustments(classId, rules, { termId, from, to });
+
+        const sheets = [{
+            name: 'Summary',
+            rows: buildSummaryRows({ rollNumbers, subjects, counts, rules, profiles, adjustmentsByRoll })
+        }];
+
+        if (layout === 'register') {
+            const dateFilter = {};
+            if (from) dateFilter.$gte = from;
+            if (to) dateFilter.$lte = to;
+
+            const records = await Attendance.find({
+                classId,
+                termId,
+                ...(from || to ? { date: dateFilter } : {})
+            }).select('date periods').sort({ date: 1 }).lean();
+
+            sheets.unshift({
+                name: 'Register',
+                rows: buildRegisterRows({ rollNumbers, subjects, records, counts, rules, profiles, adjustmentsByRoll })
+            });
+        }
+
+        const baseName = `${classroom.className}${term ? `-${term.name}` : ''}-attendance-${layout}`.replace(/[^a-z0-9-_]+/gi, '_');
+
+        if (format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.attachment(`${baseName}.csv`);
+            return res.send(toCsv(sheets[0].rows));
+        }
+
+        res.set('Content-Type', XLSX_MIME);
+        res.attachment(`${baseName}.xlsx`);
+        res.send(await buildXlsx(sheets));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   GET /api/attendance/prefill/:classId/:date
+// @desc    Period list for a date pre-filled from the timetable, plus what is already stored (Protected)
+router.get('/prefill/:classId/:date', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:view'))) return;
+        const { classId, date } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(classId)) {
+            return res.status(400).json({ error: 'Invalid Class ID' });
+        }
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        const searchDate = normalizeDate(date);
+        const classroom = await Classroom.findById(classId).select('subjects timetables').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const { timetable, periods } = getScheduledPeriods(classroom, searchDate);
+        const existing = await Attendance.findOne({ classId, date: searchDate }).select('periods version updatedAt').lean();
+        const { blocked, warnings } = await checkCalendarForDate(classId, searchDate);
+
+        res.json({
+            date: searchDate,
+            timetableId: timetable?._id || null,
+            validFrom: timetable?.validFrom || null,
+            periods: normalizePeriodsForStorage(periods),
+            existing: existing || null,
+            calendarEvents: [...blocked, ...warnings]
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   GET /api/attendance/revisions/:classId/:date
+// @desc    Edit history of one attendance day, newest first (Protected)
+router.get('/revisions/:classId/:date', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:view'))) return;
+        const { classId, date } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(classId)) {
+            return res.status(400).json({ error: 'Invalid Class ID' });
+        }
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        const revisions = await AttendanceRevision.find({ classId, date: normalizeDate(date), action: { $ne: 'baseline' } })
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.json({ revisions });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   POST /api/attendance/revisions/:revisionId/restore
+// @desc    Make an earlier revision the current state of its day (Protected)
+router.post('/revisions/:revisionId/restore', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'attendance:mark'))) return;
+        const { revisionId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(revisionId)) {
+            return res.status(400).json({ error: 'Invalid Revision ID' });
+        }
+
+        const revision = await AttendanceRevision.findById(revisionId).lean();
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        if (revision.classId.toString() !== req.user.classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        const classroom = await Classroom.findById(revision.classId).select('attendanceLock currentTerm blockedRollNumbers').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const { locked, archived } = await checkDayWritable(classroom, revision.date);
+        if (locked) return sendDayLocked(res, revision.date, archived);
+
+        const periods = normalizePeriodsForStorage(
+            (revision.periods || []).map(({ _id, ...period }) => period)
+        );
+
+        const { expectedVersion, expectedUpdatedAt } = req.body;
+        const { previous, record, revision: restoreRevision, conflict } = await writeAttendanceDay({
+            classId: revision.classId,
+            date: revision.date,
+            periods,
+            expected: { expectedVersion, expectedUpdatedAt },
+            user: req.user,
+            note: req.body.note,
+            restoredFrom: revision._id
+        });
+
+        if (conflict) return sendConflict(res, conflict);
+
+        res.json({
+            message: 'Revision restored successfully',
+            data: record,
+            revision: restoreRevision
+        });
+
+        notifyChangedRolls({
+            classId: revision.classId,
+            date: revision.date,
+            before: previous?.periods || [],
+            after: record?.periods || [],
+            excludeRollNumbers: classroom.blockedRollNumbers || []
+        });
+        triggerAttendanceAlerts(revision.classId, previous?.periods || [], record?.periods || []);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   POST /api/attendance/unlock
+// @desc    Open one finalised day for edits for a limited time, with a recorded reason (Protected)
+//          Body: { classId, date, reason, hours? } — hours defaults to 24, at most a week
+router.post('/unlock', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { classId, date, reason } = req.body;
+
+        if (!classId || !date) {
+            return res.status(400).json({ error: 'classId and date are required' });
+        }
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        if (!String(reason || '').trim()) {
+            return res.status(400).json({ error: 'A reason is required to unlock finalised attendance' });
+        }
+
+        const hours = req.body.hours === undefined ? DEFAULT_UNLOCK_HOURS : Number(req.body.hours);
+        if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_UNLOCK_HOURS) {
+            return res.status(400).json({ error: `hours must be between 0 and ${MAX_UNLOCK_HOURS}` });
+        }
+
+        const classroom = await Classroom.findById(classId).select('attendanceLock currentTerm').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const searchDate = normalizeDate(date);
+        if (isDateArchived(classroom, searchDate)) {
+            return res.status(400).json({ error: `Attendance for ${toIsoDay(searchDate)} belongs to an archived term and cannot be unlocked` });
+        }
+        if (!isDateLocked(classroom, searchDate)) {
+            return res.status(400).json({ error: `Attendance for ${toIsoDay(searchDate)} is not locked` });
+        }
+
+        const unlock = await AttendanceUnlock.create({
+            classId,
+            scope: 'day',
+            date: searchDate,
+            reason: String(reason).trim(),
+            unlockedBy: describeActor(req.user),
+            expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+        });
+
+        res.status(201).json({ message: 'Day unlocked for editing', unlock });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   GET /api/attendance/unlocks/:classId
+// @desc    Current lock settings and the audit trail of unlocks, newest first (Protected)
+router.get('/unlocks/:classId', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:view'))) return;
+        const { classId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(classId)) {
+            return res.status(400).json({ error: 'Invalid Class ID' });
+        }
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        const classroom = await Classroom.findById(classId).select('attendanceLock').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const unlocks = await AttendanceUnlock.find({ classId }).sort({ createdAt: -1 }).limit(200).lean();
+        res.json({ lock: describeLock(classroom), unlocks });
     } catch (err) {
         console.error(err);
         res.status(500).json({ error: 'Server Error' });
@@ -105,8 +1052,9 @@ router.post('/mark', auth, async (req, res) => {
 
 // @route   GET /api/attendance/by-date/:classId/:date
 // @access  Public — intentionally unauthenticated so students can view attendance
-//          Students do not have auth tokens; they access via classId + rollNumber
-router.get('/by-date/:classId/:date', async (req, res) => {
+//          Students access via classId + rollNumber. In a protected class a token is required,
+//          and a student token only sees its own roll in the status lists.
+router.get('/by-date/:classId/:date', studentAccess, async (req, res) => {
     try {
         const { classId, date } = req.params;
         const searchDate = normalizeDate(date);
@@ -114,7 +1062,19 @@ router.get('/by-date/:classId/:date', async (req, res) => {
         const record = await Attendance.findOne({ classId, date: searchDate }).lean();
 
         if (!record) {
-            return res.json({ periods: [] });
+            return res.json({ periods: [], version: 0 });
+        }
+
+        if (req.user?.role === 'student') {
+            const ownRoll = req.user.rollNumber;
+            record.periods = (record.periods || []).map((period) => {
+                const visible = { ...period };
+                Object.values(STATUS_FIELDS).forEach((field) => {
+                    if (!Array.isArray(period[field])) return;
+                    visible[field] = period[field].filter((roll) => sanitizeRollNumber(roll) === ownRoll);
+                });
+                return visible;
+            });
         }
 
         res.json(record);
@@ -125,17 +1085,53 @@ router.get('/by-date/:classId/:date', async (req, res) => {
 
 // @route   GET /api/attendance/dates/:classId
 // @access  Public — students use this to populate the calendar view
+//          Optional ?term=<termId> lists the days of an archived term instead of the running one
+//          Optional ?from=YYYY-MM-DD&to=YYYY-MM-DD limits both the days and the calendar events
 router.get('/dates/:classId', async (req, res) => {
     try {
         const { classId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(classId)) {
+            return res.status(400).json({ error: 'Invalid Class ID' });
+        }
+
+        const from = parseDateQuery(req.query.from);
+        const to = parseDateQuery(req.query.to);
+        if (from === undefined || to === undefined) {
+            return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates' });
+        }
+        if (from && to && from > to) {
+            return res.status(400).json({ error: 'from must not be after to' });
+        }
+
+        const { termId, statusCode, error } = await resolveTerm(classId, req.query.term);
+        if (error) return res.status(statusCode).json({ error });
+
         // Only return dates that actually have periods stored
-        const records = await Attendance.find({
+        const query = {
             classId,
+            termId,
             periods: { $exists: true, $not: { $size: 0 } }
-        }).select('date -_id').sort({ date: -1 }).lean();
+        };
+        if (from || to) {
+            query.date = {};
+            if (from) query.date.$gte = from;
+            if (to) query.date.$lte = to;
+        }
+        const records = await Attendance.find(query).select('date -_id').sort({ date: -1 }).lean();
 
         const dates = records.map(r => r.date);
-        res.json({ dates });
+
+        // Holidays, exam weeks and cancelled days so the calendar can shade them
+        const calendar = await findEventsInRange(classId, from, to);
+        res.json({
+            dates,
+            calendar: calendar.map((event) => ({
+                type: event.type,
+                title: event.title,
+                startDate: event.startDate,
+                endDate: event.endDate
+            }))
+        });
     } catch (err) {
         res.status(500).json({ error: 'Server Error' });
     }
@@ -0,0 +1,219 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const CalendarEvent = require('../models/CalendarEvent');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../utils/permissions');
+const {
+    EVENT_TYPES,
+    DEFAULT_BLOCKS_ATTENDANCE,
+    findEventsInRange,
+    parseICal,
+    inferEventType
+} = require('../utils/academicCalendar');
+
+// Extract the YYYY-MM-DD part to avoid timezone-driven day shifts (same as attendance dates)
+const normalizeDate = (dateString) => {
+    const datePart = String(dateString).split('T')[0];
+    return new Date(`${datePart}T00:00:00.000Z`);
+};
+
+// A YYYY-MM-DD prefix naming a real day (2024-13-45 and 2024-02-30 are refused, not rolled over)
+const isDateString = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}/.test(String(value || ''))) return false;
+    const date = normalizeDate(value);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === String(value).slice(0, 10);
+};
+
+// Get calendar events for a class (Public - the student calendar shades these days)
+// Optional ?from=YYYY-MM-DD&to=YYYY-MM-DD
+router.get('/:classId', async (req, res) => {
+    try {
+        const { classId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(classId)) {
+            return res.status(400).json({ error: 'Invalid Class ID' });
+        }
+
+        const from = isDateString(req.query.from) ? normalizeDate(req.query.from) : null;
+        const to = isDateString(req.query.to) ? normalizeDate(req.query.to) : null;
+
+        const events = await findEventsInRange(classId, from, to);
+        res.json({ events });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Create a calendar event (Protected - admin only)
+router.post('/', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { classId, type, title, startDate, endDate, blocksAttendance } = req.body;
+
+        if (classId && classId !== req.user.classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        if (!EVENT_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of ${EVENT_TYPES.join(', ')}` });
+        }
+        if (!title || !String(title).trim()) {
+            return res.status(400).json({ error: 'title is required' });
+        }
+        if (!isDateString(startDate) || (endDate && !isDateString(endDate))) {
+            return res.status(400).json({ error: 'startDate (and endDate, if given) must be YYYY-MM-DD dates' });
+        }
+
+        const start = normalizeDate(startDate);
+        const end = endDate ? normalizeDate(endDate) : start;
+        if (end < start) {
+            return res.status(400).json({ error: 'endDate cannot be before startDate' });
+        }
+
+        const event = new CalendarEvent({
+            classId: req.user.classId,
+            type,
+            title: String(title).trim(),
+            startDate: start,
+            endDate: end,
+            blocksAttendance: typeof blocksAttendance === 'boolean' ? blocksAttendance : DEFAULT_BLOCKS_ATTENDANCE[type]
+        });
+
+        await event.save();
+        res.status(201).json(event);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Import events from an iCalendar (.ics) file (Protected - admin only)
+// Body: { classId, icsText | fileBase64, defaultType?, timeZone?, dryRun? }
+// Events are matched on their iCal UID, so importing a newer copy of the same file updates them.
+// timeZone (IANA, e.g. "Asia/Kolkata") decides the day of events given in UTC; defaults to the file's own zone.
+// Recurring events are imported once per occurrence (up to two years ahead when they never end).
+router.post('/import-ical', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { classId, icsText, fileBase64, defaultType } = req.body;
+
+        if (classId && classId !== req.user.classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        const text = icsText
+            || (fileBase64 ? Buffer.from(String(fileBase64).replace(/^data:[^;]+;base64,/, ''), 'base64').toString('utf8') : '');
+        if (!text.includes('BEGIN:VCALENDAR')) {
+            return res.status(400).json({ error: 'Provide an iCalendar file as icsText or fileBase64' });
+        }
+
+        const { events, error } = parseICal(text, { timeZone: req.body.timeZone ? String(req.body.timeZone) : undefined });
+        if (error) return res.status(400).json({ error });
+
+        const parsed = events.map((event) => {
+            const type = inferEventType(event, defaultType);
+            return {
+                uid: event.uid || `${event.title}#${event.startDate.toISOString().split('T')[0]}`,
+                type,
+                title: event.title,
+                startDate: event.startDate,
+                endDate: event.endDate,
+                blocksAttendance: DEFAULT_BLOCKS_ATTENDANCE[type]
+            };
+        });
+
+        if (req.body.dryRun === true) {
+            return res.json({ dryRun: true, events: parsed });
+        }
+
+        let created = 0;
+        let updated = 0;
+        for (const event of parsed) {
+            const result = await CalendarEvent.updateOne(
+                { classId: req.user.classId, uid: event.uid },
+                {
+                    $set: { type: event.type, title: event.title, startDate: event.startDate, endDate: event.endDate },
+                    // Keep an admin's blocksAttendance choice when the event is re-imported
+                    $setOnInsert: { blocksAttendance: event.blocksAttendance, source: 'ical' }
+                },
+                { upsert: true }
+            );
+            if (result.upsertedCount > 0) created += 1;
+            else if (result.modifiedCount > 0) updated += 1;
+        }
+
+        res.json({
+            message: 'Calendar imported successfully',
+            created,
+            updated,
+            unchanged: parsed.length - created - updated
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Update a calendar event (Protected - admin only)
+router.patch('/:id', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { type, title, startDate, endDate, blocksAttendance } = req.body;
+
+        const event = await CalendarEvent.findById(req.params.id);
+        if (!event) return res.status(404).json({ error: 'Calendar event not found' });
+
+        if (event.classId.toString() !== req.user.classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        if (type !== undefined) {
+            if (!EVENT_TYPES.includes(type)) {
+                return res.status(400).json({ error: `type must be one of ${EVENT_TYPES.join(', ')}` });
+            }
+            event.type = type;
+        }
+        if (title) event.title = String(title).trim();
+        if (startDate !== undefined) {
+            if (!isDateString(startDate)) return res.status(400).json({ error: 'startDate must be a YYYY-MM-DD date' });
+            event.startDate = normalizeDate(startDate);
+        }
+        if (endDate !== undefined) {
+            if (!isDateString(endDate)) return res.status(400).json({ error: 'endDate must be a YYYY-MM-DD date' });
+            event.endDate = normalizeDate(endDate);
+        }
+        if (typeof blocksAttendance === 'boolean') event.blocksAttendance = blocksAttendance;
+
+        if (event.endDate < event.startDate) {
+            return res.status(400).json({ error: 'endDate cannot be before startDate' });
+        }
+
+        await event.save();
+        res.json(event);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Delete a calendar event (Protected - admin only)
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const event = await CalendarEvent.findById(req.params.id);
+        if (!event) return res.status(404).json({ error: 'Calendar event not found' });
+
+        if (event.classId.toString() !== req.user.classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        await CalendarEvent.findByIdAndDelete(req.params.id);
+        res.json({ message: 'Calendar event deleted' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+module.exports = router;
@@ -1,9 +1,58 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs'); // Import bcrypt for security
 const Classroom = require('../models/Classroom');
+const AttendanceUnlock = require('../models/AttendanceUnlock');
+const Attendance = require('../models/Attendance');
+const AttendanceAdjustment = require('../models/AttendanceAdjustment');
+const AttendanceAlertState = require('../models/AttendanceAlertState');
+const Report = require('../models/Report');
+const Term = require('../models/Term');
+const StudentProfile = require('../models/StudentProfile');
+const StudentCredential = require('../models/StudentCredential');
+const LoginFailure = require('../models/LoginFailure');
+const ClassAdmin = require('../models/ClassAdmin');
 const auth = require('../middleware/auth');
+const { requirePermission, resolveAdminAccess } = require('../utils/permissions');
+const { resolveRules, sanitizeRulesInput } = require('../utils/attendanceRules');
+const { sanitizeSlots } = require('../utils/timetable');
+const { describeLock, relaxesLock } = require('../utils/attendanceLock');
+const { describeActor } = require('../utils/attendanceRevisions');
+const { resolveAlertSettings, sanitizeAlertSettingsInput } = require('../utils/attendanceAlerts');
+const { listTerms } = require('../utils/terms');
+const {
+    validateRenames,
+    buildRenumbering,
+    nextRoster,
+    countRollReferences,
+    applyRenames,
+    applyRemovals
+} = require('../utils/rosterChanges');
+const { sanitizeProfileInput, parseProfileSheet } = require('../utils/studentProfiles');
+const { readSheetRows } = require('../utils/spreadsheet');
+const { generateRecoveryCodes, findRecoveryCode } = require('../utils/recoveryCodes');
+const { MAX_SESSION_AGE_MS, issueSessionToken, revokeSessions } = require('../utils/sessions');
+const {
+    DUMMY_HASH,
+    classThrottleKey,
+    rollThrottleKey,
+    getLockedUntil,
+    getIpLockedUntil,
+    getClassLockedUntil,
+    recordLoginFailure,
+    recordIpFailure,
+    clearThrottle,
+    sendLockedOut
+} = require('../utils/loginThrottle');
+
+const MIN_PIN_LENGTH = 4;
+
+// Extract the YYYY-MM-DD part to avoid timezone-driven day shifts (same as attendance dates)
+const normalizeDate = (dateString) => {
+    const datePart = String(dateString).split('T')[0];
+    return new Date(`${datePart}T00:00:00.000Z`);
+};
 
 const sanitizeRollNumber = (value) => {
     if (value === undefined || value === null) return null;
@@ -27,14 +76,6 @@ const sanitizeRollNumbers = (values) => {
     return normalized;
 };
 
-const requireAdminAuth = (req, res) => {
-    if (req.user?.role === 'student') {
-        res.status(403).json({ error: 'Admin authentication required' });
-        return false;
-    }
-    return true;
-};
-
 // @route   POST /api/class/create
 // @desc    Create a new Classroom (Protected)
 router.post('/create', async (req, res) => {
@@ -57,9 +98,13 @@ router.post('/create', async (req, res) => {
         const salt = await bcrypt.genSalt(10);
         const hashedPin = await bcrypt.hash(adminPin, salt);
 
+        // Shown once so a forgotten PIN can be reset later
+        const { codes, stored } = await generateRecoveryCodes();
+
         const newClass = new Classroom({
             className: _className,
             adminPin: hashedPin, // Store the hash, not the plain text
+            recoveryCodes: stored,
             rollNumbers: normalizedRollNumbers,
             subjects
         });
@@ -67,17 +112,15 @@ router.post('/create', async (req, res) => {
         const savedClass = await newClass.save();
 
         // Generate token immediately for the creator
-        const token = jwt.sign(
-            { classId: savedClass._id, role: 'admin' },
-            process.env.JWT_SECRET,
-            { expiresIn: '30d' }
-        );
+        const token = await issueSessionToken(req, { classId: savedClass._id, role: 'admin', tokenVersion: savedClass.tokenVersion });
 
+        const { adminPin: _pin, recoveryCodes: _codes, ...data } = savedClass.toObject();
         res.status(201).json({
             message: 'Class Created!',
             classId: savedClass._id,
             token,
-            data: savedClass
+            recoveryCodes: codes,
+            data
         });
 
     } catch (err) {
@@ -94,7 +137,7 @@ router.post('/create', async (req, res) => {
 // @desc    Add multiple roll numbers to the class without duplicates (Protected)
 router.patch('/:classId/students', auth, async (req, res) => {
     try {
-        if (!requireAdminAuth(req, res)) return;
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
         const { classId } = req.params;
 
         // Accept either a single rollNumber or an array of rollNumbers
@@ -140,35 +183,354 @@ router.patch('/:classId/students', auth, async (req, res) => {
     }
 });
 
+// Shared tail of the rename / renumber routes: preview with dryRun, otherwise rewrite history
+// (in one transaction, so it needs a replica set, like the term rollover)
+const respondWithRenames = async (req, res, classroom, renames) => {
+    const rolls = renames.map(({ from }) => from);
+    const roster = sanitizeRollNumbers(classroom.rollNumbers);
+
+    if (req.body.dryRun === true) {
+        return res.json({
+            dryRun: true,
+            renames,
+            rollNumbers: nextRoster(roster, { renames }),
+            affected: await countRollReferences(classroom._id, rolls)
+        });
+    }
+
+    const affected = await applyRenames(classroom, renames, describeActor(req.user));
+    res.json({
+        message: `${renames.length} roll number(s) renamed`,
+        renames,
+        rollNumbers: nextRoster(roster, { renames }),
+        affected
+    });
+};
+
+// @route   POST /api/class/:classId/students/remove
+// @desc    Take roll numbers off the roster, e.g. students who dropped out (Protected)
+//          Body: { rollNumbers: [], dryRun? }. Marked attendance and reports stay on record.
+//          Runs in one transaction (needs a replica set).
+router.post('/:classId/students/remove', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { classId } = req.params;
+        const removals = sanitizeRollNumbers(req.body.rollNumbers || (req.body.rollNumber ? [req.body.rollNumber] : []));
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        if (removals.length === 0) {
+            return res.status(400).json({ error: 'At least one valid roll number is required' });
+        }
+
+        const classroom = await Classroom.findById(classId).select('rollNumbers blockedRollNumbers').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const roster = sanitizeRollNumbers(classroom.rollNumbers);
+        const missing = removals.filter((roll) => !roster.includes(roll));
+        if (missing.length > 0) {
+            return res.status(400).json({ error: `Not in this class: ${missing.join(', ')}` });
+        }
+
+        const remaining = nextRoster(roster, { removals });
+        if (remaining.length === 0) {
+            return res.status(400).json({ error: 'A class needs at least one roll number' });
+        }
+
+        if (req.body.dryRun === true) {
+            return res.json({
+                dryRun: true,
+                removed: removals,
+                rollNumbers: remaining,
+                retainedHistory: await countRollReferences(classId, removals)
+            });
+        }
+
+        const affected = await applyRemovals(classroom, removals, describeActor(req.user));
+        res.json({
+            message: `${removals.length} roll number(s) removed`,
+            removed: removals,
+            rollNumbers: remaining,
+            affected
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   POST /api/class/:classId/students/rename
+// @desc    Rename roll numbers, e.g. to fix a typo; history follows the student (Protected)
+//          Body: { renames: [{ from, to }] } or { from, to }, dryRun?
+router.post('/:classId/students/rename', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { classId } = req.params;
+        const requested = Array.isArray(req.body.renames) ? req.body.renames : [{ from: req.body.from, to: req.body.to }];
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        const classroom = await Classroom.findById(classId).select('rollNumbers blockedRollNumbers').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const { renames, error } = validateRenames(sanitizeRollNumbers(classroom.rollNumbers), requested);
+        if (error) return res.status(400).json({ error });
+
+        await respondWithRenames(req, res, classroom, renames);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   POST /api/class/:classId/students/renumber
+// @desc    Renumber the whole roster; each roll keeps its trailing number (Protected)
+//          Body: { prefix, padTo?, dryRun? }, e.g. { prefix: "21CS", padTo: 3 } turns 1–60 into 21CS001–21CS060
+router.post('/:classId/students/renumber', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { classId } = req.params;
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        const classroom = await Classroom.findById(classId).select('rollNumbers blockedRollNumbers').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const { renames, error } = buildRenumbering(sanitizeRollNumbers(classroom.rollNumbers), {
+            prefix: req.body.prefix,
+            padTo: req.body.padTo
+        });
+        if (error) return res.status(400).json({ error });
+
+        await respondWithRenames(req, res, classroom, renames);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   GET /api/class/:classId/profiles
+// @desc    Student names, emails and batches of the roster (Protected)
+router.get('/:classId/profiles', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:view'))) return;
+        const { classId } = req.params;
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        const profiles = await StudentProfile.find({ classId }).select('-__v').lean();
+        profiles.sort((a, b) =>
+            String(a.rollNumber).localeCompare(String(b.rollNumber), undefined, { numeric: true, sensitivity: 'base' })
+        );
+        res.json({ profiles });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   PUT /api/class/:classId/profiles/:rollNumber
+// @desc    Create or replace the profile of one roll number (Protected)
+//          Body: { name, email?, batch? }
+router.put('/:classId/profiles/:rollNumber', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { classId } = req.params;
+        const rollNumber = sanitizeRollNumber(req.params.rollNumber);
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        const { profile, error } = sanitizeProfileInput(req.body);
+        if (error) return res.status(400).json({ error });
+
+        const classroom = await Classroom.findById(classId).select('rollNumbers').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        if (!sanitizeRollNumbers(classroom.rollNumbers).includes(rollNumber)) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+
+        const saved = await StudentProfile.findOneAndUpdate(
+            { classId, rollNumber },
+            { $set: profile },
+            { upsert: true, new: true, runValidators: true }
+        ).select('-__v').lean();
+
+        res.json({ message: 'Profile saved', profile: saved });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   DELETE /api/class/:classId/profiles/:rollNumber
+// @desc    Remove the profile of one roll number (Protected)
+router.delete('/:classId/profiles/:rollNumber', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { classId } = req.params;
+        const rollNumber = sanitizeRollNumber(req.params.rollNumber);
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        const result = await StudentProfile.deleteOne({ classId, rollNumber });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        res.json({ message: 'Profile deleted' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   POST /api/class/:classId/profiles/import
+// @desc    Bulk upload profiles from a CSV/XLSX sheet with a header row (Protected)
+//          Body: { fileBase64, fileName?, format?, sheetName?, dryRun? }
+//          Columns: roll number and name (required), email and batch / section (optional).
+//          Runs as a dry run (preview only) unless dryRun is explicitly false; existing profiles are replaced.
+router.post('/:classId/profiles/import', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { classId } = req.params;
+        const { fileBase64, fileName, format, sheetName } = req.body;
+        const dryRun = req.body.dryRun !== false;
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        const classroom = await Classroom.findById(classId).select('rollNumbers').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const { rows, error: readError } = await readSheetRows({ fileBase64, fileName, format, sheetName });
+        if (readError) return res.status(400).json({ error: readError });
+
+        const { profiles, errors, error } = parseProfileSheet(rows, sanitizeRollNumbers(classroom.rollNumbers));
+        if (error) return res.status(400).json({ error });
+
+        const existing = new Set((await StudentProfile.find({
+            classId,
+            rollNumber: { $in: profiles.map((profile) => profile.rollNumber) }
+        }).select('rollNumber').lean()).map((profile) => profile.rollNumber));
+
+        const summary = {
+            create: profiles.filter((profile) => !existing.has(profile.rollNumber)).length,
+            update: profiles.filter((profile) => existing.has(profile.rollNumber)).length,
+            errors: errors.length
+        };
+
+        if (dryRun) {
+            return res.json({ dryRun: true, summary, profiles, errors });
+        }
+
+        if (profiles.length > 0) {
+            await StudentProfile.bulkWrite(profiles.map(({ rollNumber, ...profile }) => ({
+                updateOne: {
+                    filter: { classId, rollNumber },
+                    update: { $set: profile },
+                    upsert: true
+                }
+            })));
+        }
+
+        res.json({ message: 'Profiles imported successfully', dryRun: false, summary, errors });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
 // @route   POST /api/class/admin-login
 // @desc    Verify Admin PIN and Return Token
+//          Named admins send { className, email, password } instead of the shared adminPin.
+//          Repeated failures lock the class name for that IP, and the IP itself, out with exponential backoff
+//          (utils/loginThrottle.js); admins logging in from elsewhere are not locked out.
+//          An unknown class gets the same answer, after the same bcrypt work, as a wrong PIN.
 router.post('/admin-login', async (req, res) => {
     try {
-        const { className, adminPin } = req.body;
+        const { className, adminPin, email, password } = req.body;
         const _className = (className || '').trim();
-
-        const classroom = await Classroom.findOne({ className: _className })
-            .collation({ locale: 'en', strength: 2 })
-            .select('className adminPin')
-            .lean();
-
-        if (!classroom) {
-            return res.status(404).json({ error: 'Class not found' });
+        const attempt = { targetKey: classThrottleKey(_className), ip: req.ip, userAgent: req.get('User-Agent') };
+
+        const lockedUntil = await getLockedUntil(attempt.targetKey, req.ip);
+        if (lockedUntil) return sendLockedOut(res, lockedUntil);
+
+        const classroom = _className
+            ? await Classroom.findOne({ className: _className })
+                .collation({ locale: 'en', strength: 2 })
+                .select('className adminPin tokenVersion pinLoginEnabled')
+                .lean()
+            : null;
+
+        const rejectLogin = async (method, error) => {
+            const lockedNow = await recordLoginFailure({ ...attempt, classId: classroom?._id, method, email });
+            if (lockedNow) return sendLockedOut(res, lockedNow);
+            return res.status(401).json({ error });
+        };
+
+        if (email !== undefined) {
+            const admin = classroom
+                ? await ClassAdmin.findOne({
+                    classId: classroom._id,
+                    email: String(email).trim().toLowerCase(),
+                    revokedAt: null,
+                    acceptedAt: { $ne: null }
+                }).select('name role passwordHash').lean()
+                : null;
+
+            const passwordMatches = await bcrypt.compare(String(password || ''), admin?.passwordHash || DUMMY_HASH);
+            if (!admin || !passwordMatches) {
+                return rejectLogin('password', 'Invalid class name, email or password');
+            }
+
+            await clearThrottle(attempt.targetKey, req.ip);
+            await ClassAdmin.updateOne({ _id: admin._id }, { $set: { lastLoginAt: new Date() } });
+
+            const token = await issueSessionToken(req, {
+                classId: classroom._id,
+                role: 'admin',
+                adminId: admin._id,
+                tokenVersion: classroom.tokenVersion || 0
+            });
+
+            return res.json({
+                message: 'Login successful',
+                classId: classroom._id,
+                token,
+                admin: { _id: admin._id, name: admin.name, role: admin.role }
+            });
         }
 
         // 3. Compare the provided PIN with the stored Hash
-        const isMatch = await bcrypt.compare(adminPin, classroom.adminPin);
+        const isMatch = await bcrypt.compare(String(adminPin || ''), classroom?.adminPin || DUMMY_HASH);
 
-        if (!isMatch) {
-            return res.status(401).json({ error: 'Invalid PIN' });
+        if (!classroom || !isMatch) {
+            return rejectLogin('pin', 'Invalid class name or PIN');
+        }
+
+        // Only reached with the right PIN, so this says nothing to someone guessing class names
+        if (classroom.pinLoginEnabled === false) {
+            return res.status(403).json({ error: 'PIN login is turned off for this class. Log in with your email and password.' });
         }
 
+        await clearThrottle(attempt.targetKey, req.ip);
+
         // Generate JWT Token
-        const token = jwt.sign(
-            { classId: classroom._id, role: 'admin' },
-            process.env.JWT_SECRET,
-            { expiresIn: '30d' }
-        );
+        const token = await issueSessionToken(req, { classId: classroom._id, role: 'admin', tokenVersion: classroom.tokenVersion || 0 });
 
         res.json({
             message: 'Login successful',
@@ -176,35 +538,208 @@ router.post('/admin-login', async (req, res) => {
             token
         });
     } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   PUT /api/class/:classId/admin-pin
+// @desc    Change the class PIN; every admin token issued before is invalidated (Protected, owner)
+//          Body: { currentPin, newPin }. The response carries a fresh token for the caller.
+router.put('/:classId/admin-pin', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'admins:manage'))) return;
+        const { classId } = req.params;
+        const { currentPin, newPin } = req.body;
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        if (!currentPin || !newPin) {
+            return res.status(400).json({ error: 'currentPin and newPin are required' });
+        }
+        if (String(newPin).length < MIN_PIN_LENGTH) {
+            return res.status(400).json({ error: `newPin must be at least ${MIN_PIN_LENGTH} characters` });
+        }
+
+        const classroom = await Classroom.findById(classId).select('adminPin tokenVersion');
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        if (!(await bcrypt.compare(String(currentPin), classroom.adminPin))) {
+            return res.status(401).json({ error: 'Invalid PIN' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        classroom.adminPin = await bcrypt.hash(String(newPin), salt);
+        classroom.tokenVersion = (classroom.tokenVersion || 0) + 1;
+        await classroom.save();
+        await revokeSessions({ classId, kind: 'admin' }, { actor: describeActor(req.user), reason: 'PIN changed' });
+
+        const token = await issueSessionToken(req, req.user.adminId
+            ? { classId: classroom._id, role: 'admin', adminId: req.user.adminId, tokenVersion: classroom.tokenVersion }
+            : { classId: classroom._id, role: 'admin', tokenVersion: classroom.tokenVersion });
+
+        res.json({ message: 'PIN changed. Other devices have to log in again.', token });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   POST /api/class/:classId/recovery-codes
+// @desc    Replace the recovery codes with a fresh set; the old ones stop working (Protected, owner)
+//          Body: { currentPin }
+router.post('/:classId/recovery-codes', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'admins:manage'))) return;
+        const { classId } = req.params;
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        const classroom = await Classroom.findById(classId).select('adminPin');
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        if (!(await bcrypt.compare(String(req.body.currentPin || ''), classroom.adminPin))) {
+            return res.status(401).json({ error: 'Invalid PIN' });
+        }
+
+        const { codes, stored } = await generateRecoveryCodes();
+        classroom.recoveryCodes = stored;
+        await classroom.save();
+
+        res.json({ message: 'New recovery codes generated', recoveryCodes: codes });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   POST /api/class/recover-pin
+// @desc    Reset a forgotten PIN with a one-time recovery code (Public)
+//          Body: { className, recoveryCode, newPin }. Every admin token issued before is invalidated.
+//          Also turns PIN login back on, so a class whose named owners are all locked out can be recovered.
+router.post('/recover-pin', async (req, res) => {
+    try {
+        const { className, recoveryCode, newPin } = req.body;
+
+        if (!className || !recoveryCode || !newPin) {
+            return res.status(400).json({ error: 'className, recoveryCode and newPin are required' });
+        }
+        if (String(newPin).length < MIN_PIN_LENGTH) {
+            return res.status(400).json({ error: `newPin must be at least ${MIN_PIN_LENGTH} characters` });
+        }
+
+        const targetKey = classThrottleKey(className);
+        const lockedUntil = await getLockedUntil(targetKey, req.ip);
+        if (lockedUntil) return sendLockedOut(res, lockedUntil);
+
+        const classroom = await Classroom.findOne({ className: String(className).trim() })
+            .collation({ locale: 'en', strength: 2 })
+            .select('adminPin recoveryCodes tokenVersion');
+
+        // Unknown classes pay for the same number of bcrypt comparisons as real ones
+        const index = await findRecoveryCode(classroom ? classroom.recoveryCodes : [], recoveryCode);
+        if (index === -1) {
+            const lockedNow = await recordLoginFailure({
+                targetKey,
+                ip: req.ip,
+                userAgent: req.get('User-Agent'),
+                classId: classroom?._id,
+                method: 'recovery-code'
+            });
+            if (lockedNow) return sendLockedOut(res, lockedNow);
+            return res.status(401).json({ error: 'Invalid class name or recovery code' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        classroom.adminPin = await bcrypt.hash(String(newPin), salt);
+        classroom.recoveryCodes[index].usedAt = new Date();
+        classroom.tokenVersion = (classroom.tokenVersion || 0) + 1;
+        classroom.pinLoginEnabled = true;
+        await classroom.save();
+        await revokeSessions({ classId: classroom._id, kind: 'admin' }, { reason: 'PIN reset with a recovery code' });
+
+        const token = await issueSessionToken(req, { classId: classroom._id, role: 'admin', tokenVersion: classroom.tokenVersion });
+
+        res.json({
+            message: 'PIN reset successfully',
+            classId: classroom._id,
+            token,
+            remainingRecoveryCodes: classroom.recoveryCodes.filter((code) => !code.usedAt).length
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   GET /api/class/:classId/login-failures
+// @desc    Recent failed admin logins and student passcodes against this class, and whether admin login
+//          is locked for any address right now (Protected, owner)
+router.get('/:classId/login-failures', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'admins:manage'))) return;
+        const { classId } = req.params;
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        const classroom = await Classroom.findById(classId).select('className').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const failures = await LoginFailure.find({ classId })
+            .select('-__v')
+            .sort({ createdAt: -1 })
+            .limit(200)
+            .lean();
+
+        const lockedUntil = await getClassLockedUntil(classroom.className);
+        res.json({ lockedUntil, failures });
+    } catch (err) {
+        console.error(err);
         res.status(500).json({ error: 'Server Error' });
     }
 });
 
 // @route   POST /api/class/verify-token
 // @desc    Verify existing token and issue a fresh one (auto-renewal)
+//          The old session is replaced; renewal stops MAX_SESSION_AGE_MS after the original login.
 router.post('/verify-token', auth, async (req, res) => {
     try {
-        if (!requireAdminAuth(req, res)) return;
-        // Token is already verified by auth middleware, req.user has { classId }
-        const classroom = await Classroom.findById(req.user.classId).select('className').lean();
+        if (!(await requirePermission(req, res, 'class:view'))) return;
+        // Token is already verified by auth middleware, req.user has { classId, adminId? }
+        const classroom = await Classroom.findById(req.user.classId).select('className tokenVersion').lean();
         if (!classroom) {
             return res.status(404).json({ error: 'Class not found' });
         }
 
-        // Issue a fresh 30-day token
-        const newToken = jwt.sign(
-            { classId: classroom._id, role: 'admin' },
-            process.env.JWT_SECRET,
-            { expiresIn: '30d' }
-        );
+        const startedAt = new Date(req.authSession.startedAt);
+        if (Date.now() - startedAt.getTime() > MAX_SESSION_AGE_MS) {
+            return res.status(401).json({ error: 'Session is too old to renew. Please log in again.' });
+        }
+
+        const access = await resolveAdminAccess(req.user);
+        const tokenVersion = classroom.tokenVersion || 0;
+
+        // Issue a fresh 30-day token and retire the one it replaces
+        const newToken = await issueSessionToken(req, access.adminId
+            ? { classId: classroom._id, role: 'admin', adminId: access.adminId, tokenVersion }
+            : { classId: classroom._id, role: 'admin', tokenVersion }, { startedAt });
+        if (req.user.jti) await revokeSessions({ jti: req.user.jti }, { reason: 'Renewed' });
 
         res.json({
             valid: true,
             classId: classroom._id,
             className: classroom.className,
-            token: newToken
+            token: newToken,
+            admin: access
         });
     } catch (err) {
+        console.error(err);
         res.status(500).json({ error: 'Server Error' });
     }
 });
@@ -213,7 +748,7 @@ router.post('/verify-token', auth, async (req, res) => {
 // @desc    Add a new subject (Protected)
 router.post('/:id/add-subject', auth, async (req, res) => {
     try {
-        if (!requireAdminAuth(req, res)) return;
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
         const { name } = req.body;
         const classId = req.params.id;
 
@@ -257,7 +792,7 @@ router.post('/:id/add-subject', auth, async (req, res) => {
 // @desc    Edit an existing subject (Protected)
 router.put('/:id/edit-subject/:subjectId', auth, async (req, res) => {
     try {
-        if (!requireAdminAuth(req, res)) return;
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
         const { name } = req.body;
         const classId = req.params.id;
         const subjectId = req.params.subjectId;
@@ -307,7 +842,7 @@ router.put('/:id/edit-subject/:subjectId', auth, async (req, res) => {
 // @desc    Delete a subject (Protected)
 router.delete('/:id/delete-subject/:subjectId', auth, async (req, res) => {
     try {
-        if (!requireAdminAuth(req, res)) return;
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
         const classId = req.params.id;
         const subjectId = req.params.subjectId;
 
@@ -350,7 +885,7 @@ router.delete('/:id/delete-subject/:subjectId', auth, async (req, res) => {
 // @desc    Block a roll number from student login (privacy opt-out)
 router.patch('/:classId/block-student', auth, async (req, res) => {
     try {
-        if (!requireAdminAuth(req, res)) return;
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
         const { classId } = req.params;
         const rollNumber = sanitizeRollNumber(req.body.rollNumber);
 
@@ -386,7 +921,7 @@ router.patch('/:classId/block-student', auth, async (req, res) => {
 // @desc    Unblock a roll number (re-enable student login)
 router.patch('/:classId/unblock-student', auth, async (req, res) => {
     try {
-        if (!requireAdminAuth(req, res)) return;
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
         const { classId } = req.params;
         const rollNumber = sanitizeRollNumber(req.body.rollNumber);
 
@@ -418,6 +953,454 @@ router.patch('/:classId/unblock-student', auth, async (req, res) => {
     }
 });
 
+// @route   PUT /api/class/:classId/student-access
+// @desc    Switch between open student access and passcode-protected rolls (Protected)
+//          Body: { mode: 'open' | 'protected' }. Switching to protected signs out every student,
+//          since their tokens were issued without a passcode.
+router.put('/:classId/student-access', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { classId } = req.params;
+        const { mode } = req.body;
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        if (!['open', 'protected'].includes(mode)) {
+            return res.status(400).json({ error: 'mode must be open or protected' });
+        }
+
+        const classroom = await Classroom.findById(classId).select('studentAccessMode').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const previousMode = classroom.studentAccessMode || 'open';
+        let signedOut = 0;
+        if (mode !== previousMode) {
+            await Classroom.updateOne({ _id: classId }, { $set: { studentAccessMode: mode } });
+            if (mode === 'protected') {
+                signedOut = await revokeSessions(
+                    { classId, kind: 'student' },
+                    { actor: describeActor(req.user), reason: 'Class switched to protected student access' }
+                );
+            }
+        }
+
+        res.json({ message: `Student access is ${mode}`, studentAccessMode: mode, signedOut });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   GET /api/class/:classId/student-credentials
+// @desc    Which rolls have claimed a passcode, and when they last logged in with it (Protected)
+router.get('/:classId/student-credentials', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:view'))) return;
+        const { classId } = req.params;
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        const classroom = await Classroom.findById(classId).select('rollNumbers studentAccessMode').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const credentials = await StudentCredential.find({ classId })
+            .select('rollNumber claimedAt lastLoginAt')
+            .lean();
+        const byRoll = new Map(credentials.map((credential) => [credential.rollNumber, credential]));
+
+        res.json({
+            studentAccessMode: classroom.studentAccessMode || 'open',
+            students: sanitizeRollNumbers(classroom.rollNumbers).map((rollNumber) => ({
+                rollNumber,
+                claimed: byRoll.has(rollNumber),
+                claimedAt: byRoll.get(rollNumber)?.claimedAt || null,
+                lastLoginAt: byRoll.get(rollNumber)?.lastLoginAt || null
+            }))
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   POST /api/class/:classId/student-credentials/:rollNumber/reset
+// @desc    Forget a student's passcode so the next login claims the roll again, and sign the roll out (Protected)
+router.post('/:classId/student-credentials/:rollNumber/reset', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { classId } = req.params;
+        const rollNumber = sanitizeRollNumber(req.params.rollNumber);
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        if (!rollNumber) {
+            return res.status(400).json({ error: 'rollNumber is required' });
+        }
+
+        const result = await StudentCredential.deleteOne({ classId, rollNumber });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: `Roll number ${rollNumber} has no passcode set` });
+        }
+        await clearThrottle(rollThrottleKey(classId, rollNumber));
+
+        const signedOut = await revokeSessions(
+            { classId, kind: 'student', rollNumber },
+            { actor: describeActor(req.user), reason: 'Passcode reset by an admin' }
+        );
+
+        res.json({ message: `Passcode for roll number ${rollNumber} reset`, signedOut });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+
+// @route   PUT /api/class/:classId/attendance-rules
+// @desc    Configure how late / medical leave / on-duty / excused periods are counted
+router.put('/:classId/attendance-rules', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { classId } = req.params;
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        const { rules, error } = sanitizeRulesInput(req.body.rules);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const update = {};
+        Object.entries(rules).forEach(([status, rule]) => {
+            Object.entries(rule).forEach(([key, value]) => {
+                update[`attendanceRules.${status}.${key}`] = value;
+            });
+        });
+
+        if (Object.keys(update).length === 0) {
+            return res.status(400).json({ error: 'No rule changes provided' });
+        }
+
+        const classroom = await Classroom.findOneAndUpdate(
+            { _id: classId },
+            { $set: update },
+            { new: true }
+        ).select('attendanceRules').lean();
+
+        if (!classroom) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+
+        res.json({
+            message: 'Attendance rules updated successfully',
+            rules: resolveRules(classroom)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+
+// @route   PUT /api/class/:classId/alert-settings
+// @desc    Configure low-attendance pushes: { enabled, threshold, warningBand, minimumClasses } (Protected)
+router.put('/:classId/alert-settings', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { classId } = req.params;
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        const { settings, error } = sanitizeAlertSettingsInput(req.body.alertSettings);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const update = {};
+        Object.entries(settings).forEach(([key, value]) => {
+            update[`alertSettings.${key}`] = value;
+        });
+
+        if (Object.keys(update).length === 0) {
+            return res.status(400).json({ error: 'No alert setting changes provided' });
+        }
+
+        const classroom = await Classroom.findOneAndUpdate(
+            { _id: classId },
+            { $set: update },
+            { new: true }
+        ).select('alertSettings').lean();
+
+        if (!classroom) {
+            return res.status(404).json({ error: 'Class not found' });
+        }
+
+        res.json({
+            message: 'Alert settings updated successfully',
+            alertSettings: resolveAlertSettings(classroom)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   PUT /api/class/:classId/timetable
+// @desc    Save a weekly timetable version valid from a date (Protected)
+//          Saving again with the same validFrom replaces that version.
+router.put('/:classId/timetable', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { classId } = req.params;
+        const { validFrom, slots } = req.body;
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        // new Date() turns 2024-02-30 into 1 March, so the parsed day must read back as the one sent
+        const validFromDate = validFrom && /^\d{4}-\d{2}-\d{2}/.test(String(validFrom)) ? normalizeDate(validFrom) : null;
+        if (!validFromDate || isNaN(validFromDate) || validFromDate.toISOString().slice(0, 10) !== String(validFrom).slice(0, 10)) {
+            return res.status(400).json({ error: 'validFrom must be a YYYY-MM-DD date' });
+        }
+
+        const classroom = await Classroom.findById(classId).select('subjects timetables');
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const { slots: cleanedSlots, error } = sanitizeSlots(slots, classroom.subjects);
+        if (error) return res.status(400).json({ error });
+
+        const existing = classroom.timetables.find((timetable) => timetable.validFrom.getTime() === validFromDate.getTime());
+        if (existing) {
+            existing.slots = cleanedSlots;
+        } else {
+            classroom.timetables.push({ validFrom: validFromDate, slots: cleanedSlots });
+        }
+        classroom.timetables.sort((a, b) => a.validFrom - b.validFrom);
+
+        await classroom.save();
+
+        res.json({
+            message: existing ? 'Timetable updated successfully' : 'Timetable saved successfully',
+            timetables: classroom.timetables
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   DELETE /api/class/:classId/timetable/:timetableId
+// @desc    Remove a timetable version (Protected)
+router.delete('/:classId/timetable/:timetableId', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { classId, timetableId } = req.params;
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        const result = await Classroom.updateOne(
+            { _id: classId, 'timetables._id': timetableId },
+            { $pull: { timetables: { _id: timetableId } } }
+        );
+
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ error: 'Class or timetable not found' });
+        }
+
+        res.json({ message: 'Timetable deleted successfully' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   PUT /api/class/:classId/attendance-lock
+// @desc    Finalise attendance: lock every day before lockedBefore, and/or days older than autoLockAfterDays (Protected)
+//          Send null to clear a setting. Loosening the lock needs a reason and is recorded like a day unlock.
+router.put('/:classId/attendance-lock', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { classId } = req.params;
+        const { lockedBefore, autoLockAfterDays, reason } = req.body;
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        if (lockedBefore === undefined && autoLockAfterDays === undefined) {
+            return res.status(400).json({ error: 'Provide lockedBefore and/or autoLockAfterDays' });
+        }
+        if (lockedBefore !== undefined && lockedBefore !== null && !/^\d{4}-\d{2}-\d{2}/.test(String(lockedBefore))) {
+            return res.status(400).json({ error: 'lockedBefore must be a YYYY-MM-DD date or null' });
+        }
+        if (autoLockAfterDays !== undefined && autoLockAfterDays !== null
+            && (!Number.isInteger(autoLockAfterDays) || autoLockAfterDays < 1)) {
+            return res.status(400).json({ error: 'autoLockAfterDays must be a positive whole number or null' });
+        }
+
+        const classroom = await Classroom.findById(classId).select('attendanceLock');
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const previousLock = {
+            lockedBefore: classroom.attendanceLock?.lockedBefore || null,
+            autoLockAfterDays: classroom.attendanceLock?.autoLockAfterDays || null
+        };
+        const nextLock = {
+            lockedBefore: lockedBefore === undefined ? previousLock.lockedBefore : (lockedBefore && normalizeDate(lockedBefore)),
+            autoLockAfterDays: autoLockAfterDays === undefined ? previousLock.autoLockAfterDays : autoLockAfterDays
+        };
+
+        const relaxed = relaxesLock(previousLock, nextLock);
+        if (relaxed && !String(reason || '').trim()) {
+            return res.status(400).json({ error: 'A reason is required to unlock finalised attendance' });
+        }
+
+        classroom.attendanceLock = nextLock;
+        await classroom.save();
+
+        if (relaxed) {
+            await AttendanceUnlock.create({
+                classId,
+                scope: 'policy',
+                reason: String(reason).trim(),
+                previousLock,
+                unlockedBy: describeActor(req.user)
+            });
+        }
+
+        res.json({
+            message: 'Attendance lock updated successfully',
+            lock: describeLock(classroom)
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   POST /api/class/:classId/terms/rollover
+// @desc    Close the running term and start a new one (Protected)
+//          Body: { name, startDate?, closingName?, carrySubjects?, rollNumbers? }
+//          The closing term's attendance, reports and adjustments are archived read-only under a Term document.
+//          The roster carries over unless rollNumbers is given; subjects (and the timetable) only with carrySubjects.
+//          startDate defaults to today and cannot be in the future (days before it are read-only).
+//          The archive runs in one transaction, so it needs a replica set (as MongoDB Atlas always is).
+router.post('/:classId/terms/rollover', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'class:manage'))) return;
+        const { classId } = req.params;
+        const { name, startDate, closingName } = req.body;
+        const carrySubjects = req.body.carrySubjects === true;
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action' });
+        }
+
+        if (!name || !String(name).trim()) {
+            return res.status(400).json({ error: 'name of the new term is required' });
+        }
+        if (startDate !== undefined && !/^\d{4}-\d{2}-\d{2}/.test(String(startDate))) {
+            return res.status(400).json({ error: 'startDate must be a YYYY-MM-DD date' });
+        }
+
+        let newRollNumbers = null;
+        if (req.body.rollNumbers !== undefined) {
+            newRollNumbers = sanitizeRollNumbers(req.body.rollNumbers);
+            if (newRollNumbers.length === 0) {
+                return res.status(400).json({ error: 'rollNumbers must contain at least one roll number' });
+            }
+        }
+
+        const classroom = await Classroom.findById(classId);
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+
+        const today = normalizeDate(new Date().toISOString());
+        const newStart = startDate ? normalizeDate(startDate) : today;
+        if (newStart > today) {
+            return res.status(400).json({ error: 'startDate cannot be in the future' });
+        }
+        const currentStart = classroom.currentTerm?.startDate || null;
+        if (currentStart && newStart <= currentStart) {
+            return res.status(400).json({ error: 'The new term must start after the current term started' });
+        }
+
+        // Every day of the closing term has to fall before the new term
+        const [firstDay, lastDay] = await Promise.all([
+            Attendance.findOne({ classId, termId: null }).sort({ date: 1 }).select('date').lean(),
+            Attendance.findOne({ classId, termId: null }).sort({ date: -1 }).select('date').lean()
+        ]);
+        if (lastDay && lastDay.date >= newStart) {
+            return res.status(400).json({
+                error: `Attendance is already marked on ${lastDay.date.toISOString().split('T')[0]}. The new term must start after it.`
+            });
+        }
+
+        const endDate = new Date(newStart.getTime() - 24 * 60 * 60 * 1000);
+        const snapshot = {
+            classId,
+            name: String(closingName || classroom.currentTerm?.name || `Term ending ${endDate.toISOString().split('T')[0]}`).trim(),
+            startDate: currentStart || firstDay?.date || null,
+            endDate,
+            subjects: classroom.subjects.map((subject) => ({
+                _id: subject._id,
+                name: subject.name,
+                code: subject.code,
+                totalClassesExpected: subject.totalClassesExpected
+            })),
+            rollNumbers: sanitizeRollNumbers(classroom.rollNumbers),
+            attendanceRules: classroom.toObject().attendanceRules || null
+        };
+
+        // All or nothing: a failure part-way must not leave a Term holding half of the term's data.
+        // Operations in one transaction have to run one after another.
+        const { term, attendance, reports } = await mongoose.connection.transaction(async (session) => {
+            const [created] = await Term.create([snapshot], { session });
+            const archivedAttendance = await Attendance.updateMany(
+                { classId, termId: null },
+                { $set: { termId: created._id } },
+                { session }
+            );
+            const archivedReports = await Report.updateMany({ classId, termId: null }, { $set: { termId: created._id } }, { session });
+            await AttendanceAdjustment.updateMany({ classId, termId: null }, { $set: { termId: created._id } }, { session });
+            // Alert levels start over with the new term's percentages
+            await AttendanceAlertState.deleteMany({ classId }, { session });
+
+            classroom.currentTerm = { name: String(name).trim(), startDate: newStart };
+            if (newRollNumbers) classroom.rollNumbers = newRollNumbers;
+            if (!carrySubjects) {
+                classroom.subjects = [];
+                classroom.timetables = [];
+            }
+            await classroom.save({ session });
+
+            return { term: created, attendance: archivedAttendance, reports: archivedReports };
+        });
+
+        res.status(201).json({
+            message: 'New term started successfully',
+            archivedTerm: term,
+            archived: { attendanceDays: attendance.modifiedCount, reports: reports.modifiedCount },
+            currentTerm: classroom.currentTerm
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
 
 // --- Public Routes (No Auth Needed) ---
 
@@ -443,12 +1426,21 @@ router.get('/stats/all', async (req, res) => {
     }
 });
 
+// @route   GET /api/class/lookup/:className
+// @desc    Class ID for a class name, so students can open a class by name (Public)
+//          This necessarily tells whether a name exists. Misses count against the caller's IP like failed
+//          logins (utils/loginThrottle.js), so names cannot be listed by guessing faster than the IP limit.
 router.get('/lookup/:className', async (req, res) => {
     try {
+        const lockedUntil = await getIpLockedUntil(req.ip);
+        if (lockedUntil) return sendLockedOut(res, lockedUntil);
+
         const className = req.params.className;
         const classroom = await Classroom.findOne({ className }).collation({ locale: 'en', strength: 2 }).select('_id className').lean();
 
         if (!classroom) {
+            const lockedNow = await recordIpFailure(req.ip);
+            if (lockedNow) return sendLockedOut(res, lockedNow);
             return res.status(404).json({ error: 'Class not found' });
         }
 
@@ -458,10 +1450,34 @@ router.get('/lookup/:className', async (req, res) => {
     }
 });
 
+// @route   GET /api/class/:classId/terms
+// @desc    The running term and archived terms, newest first (students pick a past term with ?term=)
+router.get('/:classId/terms', async (req, res) => {
+    try {
+        const classroom = await Classroom.findById(req.params.classId).select('currentTerm').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+        res.json({ terms: await listTerms(classroom) });
+    } catch (err) {
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   GET /api/class/:classId/timetable
+// @desc    All timetable versions of a class, oldest first
+router.get('/:classId/timetable', async (req, res) => {
+    try {
+        const classroom = await Classroom.findById(req.params.classId).select('timetables').lean();
+        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+        res.json({ timetables: classroom.timetables || [] });
+    } catch (err) {
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
 // Catch-all by ID — must be LAST among GET routes
 router.get('/:id', async (req, res) => {
     try {
-        const classroom = await Classroom.findById(req.params.id).select('-adminPin').lean();
+        const classroom = await Classroom.findById(req.params.id).select('-adminPin -recoveryCodes').lean();
         if (!classroom) return res.status(404).json({ error: 'Class not found' });
         res.json(classroom);
     } catch (err) {
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const PushSubscription = require('../models/PushSubscription');
+const studentAccess = require('../middleware/studentAccess');
 
 // Return the public VAPID key so the frontend can subscribe
 router.get('/vapid-key', (req, res) => {
@@ -12,7 +13,8 @@ router.get('/vapid-key', (req, res) => {
 });
 
 // Subscribe to push notifications for a class
-router.post('/subscribe', async (req, res) => {
+// Protected classes only take subscriptions from a logged-in student (for their own roll) or admin
+router.post('/subscribe', studentAccess, async (req, res) => {
     try {
         const { classId, rollNumber, subscription } = req.body;
 
@@ -25,7 +27,8 @@ router.post('/subscribe', async (req, res) => {
             { classId, 'subscription.endpoint': subscription.endpoint },
             {
                 classId,
-                rollNumber: rollNumber || null,
+                // Trimmed so per-student pushes match the roll numbers stored on attendance
+                rollNumber: rollNumber ? String(rollNumber).trim() || null : null,
                 subscription
             },
             { upsert: true, new: true }
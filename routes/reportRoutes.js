@@ -3,8 +3,12 @@ const router = express.Router();
 const Report = require('../models/Report');
 const Classroom = require('../models/Classroom');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../utils/permissions');
 const mongoose = require('mongoose');
 const rateLimit = require('express-rate-limit');
+const { isDateArchived } = require('../utils/attendanceLock');
+const { resolveTerm } = require('../utils/terms');
+const { loadProfiles } = require('../utils/studentProfiles');
 
 // Rate limit for report submissions — 5 per 15 minutes per IP
 const reportLimiter = rateLimit({
@@ -53,14 +57,6 @@ const requireStudentAuth = (req, res) => {
     return true;
 };
 
-const requireAdminAuth = (req, res) => {
-    if (req.user?.role === 'student') {
-        res.status(403).json({ error: 'Admin authentication required' });
-        return false;
-    }
-    return true;
-};
-
 // Submit a new report
 router.post('/submit', reportLimiter, auth, async (req, res) => {
     try {
@@ -76,11 +72,16 @@ router.post('/submit', reportLimiter, auth, async (req, res) => {
         }
 
         // Check if class exists
-        const classroom = await Classroom.findById(classId).select('_id rollNumbers totalStudents').lean();
+        const classroom = await Classroom.findById(classId).select('_id rollNumbers totalStudents currentTerm').lean();
         if (!classroom) {
             return res.status(404).json({ error: 'Class not found' });
         }
 
+        // Archived terms are read-only, so their attendance can no longer be disputed
+        if (/^\d{4}-\d{2}-\d{2}/.test(String(date)) && isDateArchived(classroom, new Date(`${String(date).split('T')[0]}T00:00:00.000Z`))) {
+            return res.status(400).json({ error: 'This date belongs to an archived term and can no longer be reported' });
+        }
+
         const classRollNumbers = getClassRollNumbers(classroom);
         if (!classRollNumbers.includes(normalizedStudentRoll)) {
             return res.status(404).json({ error: 'Student not found in this class' });
@@ -110,9 +111,10 @@ router.post('/submit', reportLimiter, auth, async (req, res) => {
 });
 
 // Get all reports for a class (admin use) - Protected
+// Running term by default; ?term=<termId> lists the reports archived with that term
 router.get('/class/:classId', auth, async (req, res) => {
     try {
-        if (!requireAdminAuth(req, res)) return;
+        if (!(await requirePermission(req, res, 'class:view'))) return;
         const { classId } = req.params;
 
         // Validate Class ID
@@ -124,8 +126,19 @@ router.get('/class/:classId', auth, async (req, res) => {
             return res.status(403).json({ error: 'Unauthorized action for this class' });
         }
 
-        const reports = await Report.find({ classId }).sort({ createdAt: -1 }).lean();
-        res.json({ reports });
+        const { termId, statusCode, error } = await resolveTerm(classId, req.query.term);
+        if (error) return res.status(statusCode).json({ error });
+
+        const [reports, profiles] = await Promise.all([
+            Report.find({ classId, termId }).sort({ createdAt: -1 }).lean(),
+            loadProfiles(classId)
+        ]);
+        res.json({
+            reports: reports.map((report) => ({
+                ...report,
+                studentProfile: profiles.get(sanitizeRollNumber(report.studentRoll)) || null
+            }))
+        });
     } catch (err) {
         console.error('Error fetching class reports:', err);
         res.status(500).json({ error: 'Failed to fetch reports', details: err.message });
@@ -166,7 +179,7 @@ router.get('/:classId/:rollNumber', auth, async (req, res) => {
 // Update report status (admin use) - Protected
 router.patch('/:reportId', auth, async (req, res) => {
     try {
-        if (!requireAdminAuth(req, res)) return;
+        if (!(await requirePermission(req, res, 'reports:manage'))) return;
         const { reportId } = req.params;
         const { status, adminResponse } = req.body;
 
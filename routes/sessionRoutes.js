@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const ClassAdmin = require('../models/ClassAdmin');
+const Classroom = require('../models/Classroom');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../utils/permissions');
+const { describeActor } = require('../utils/attendanceRevisions');
+const { issueSessionToken, revokeSessions } = require('../utils/sessions');
+
+// @route   POST /api/sessions/logout
+// @desc    End the session of the token sent with the request (admins and students)
+router.post('/logout', auth, async (req, res) => {
+    try {
+        // A legacy token (no jti) has no session to end; the client dropping it is all there is
+        if (req.user.jti) await revokeSessions({ jti: req.user.jti }, { reason: 'Logged out' });
+        res.json({ message: 'Logged out' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   GET /api/sessions/class/:classId
+// @desc    Active admin and student sessions of a class, most recently used first (Protected, owner)
+//          Optional ?kind=admin|student
+router.get('/class/:classId', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'admins:manage'))) return;
+        const { classId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(classId)) {
+            return res.status(400).json({ error: 'Invalid Class ID' });
+        }
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        const filter = { classId, revokedAt: null, expiresAt: { $gt: new Date() } };
+        if (req.query.kind) {
+            if (!['admin', 'student'].includes(req.query.kind)) {
+                return res.status(400).json({ error: 'kind must be admin or student' });
+            }
+            filter.kind = req.query.kind;
+        }
+
+        const sessions = await Session.find(filter)
+            .select('-jti -revokedBy -revokeReason -__v')
+            .sort({ lastSeenAt: -1 })
+            .lean();
+
+        const adminIds = [...new Set(sessions.filter((session) => session.adminId).map((session) => String(session.adminId)))];
+        const admins = adminIds.length > 0
+            ? await ClassAdmin.find({ _id: { $in: adminIds } }).select('name email role').lean()
+            : [];
+        const adminsById = new Map(admins.map((admin) => [String(admin._id), admin]));
+
+        res.json({
+            sessions: sessions.map((session) => ({
+                ...session,
+                admin: session.adminId ? adminsById.get(String(session.adminId)) || null : null,
+                current: String(session._id) === String(req.authSession._id)
+            }))
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   POST /api/sessions/:sessionId/revoke
+// @desc    Sign out one session, e.g. a lost phone or a leaked token (Protected, owner)
+router.post('/:sessionId/revoke', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'admins:manage'))) return;
+        const { sessionId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+            return res.status(400).json({ error: 'Invalid Session ID' });
+        }
+
+        const session = await Session.findById(sessionId).select('classId').lean();
+        if (!session) return res.status(404).json({ error: 'Session not found' });
+
+        if (session.classId.toString() !== req.user.classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        const revoked = await revokeSessions({ _id: session._id }, { actor: describeActor(req.user), reason: 'Signed out by an owner' });
+        if (revoked === 0) {
+            return res.status(400).json({ error: 'Session has already ended' });
+        }
+
+        res.json({ message: 'Session signed out' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @route   POST /api/sessions/class/:classId/revoke-all
+// @desc    Sign out everywhere (Protected, owner)
+//          Body: { kind?: 'admin' | 'student' (both when omitted), keepCurrent?: true by default }
+//          Also ends tokens issued before sessions existed. A caller still on such a token gets a
+//          session-backed replacement in `token` when keepCurrent is set.
+router.post('/class/:classId/revoke-all', auth, async (req, res) => {
+    try {
+        if (!(await requirePermission(req, res, 'admins:manage'))) return;
+        const { classId } = req.params;
+        const { kind } = req.body;
+        const keepCurrent = req.body.keepCurrent !== false;
+
+        if (!mongoose.Types.ObjectId.isValid(classId)) {
+            return res.status(400).json({ error: 'Invalid Class ID' });
+        }
+
+        if (req.user.classId !== classId) {
+            return res.status(403).json({ error: 'Unauthorized action for this class' });
+        }
+
+        if (kind !== undefined && !['admin', 'student'].includes(kind)) {
+            return res.status(400).json({ error: 'kind must be admin or student' });
+        }
+
+        const filter = { classId };
+        if (kind) filter.kind = kind;
+        if (keepCurrent) filter._id = { $ne: req.authSession._id };
+
+        const revoked = await revokeSessions(filter, { actor: describeActor(req.user), reason: 'Signed out everywhere' });
+
+        const now = new Date();
+        const cutoffs = {};
+        (kind ? [kind] : ['admin', 'student']).forEach((signedOutKind) => {
+            cutoffs[`legacySessionsRevokedAt.${signedOutKind}`] = now;
+        });
+        await Classroom.updateOne({ _id: classId }, { $set: cutoffs });
+
+        // The cutoff also ends the caller's own token if it is a legacy one, so swap it for a real session
+        let token;
+        if (keepCurrent && req.authSession.legacy) {
+            const { iat, exp, ...claims } = req.user;
+            token = await issueSessionToken(req, claims, { startedAt: req.authSession.startedAt });
+        }
+
+        res.json({ message: `${revoked} session(s) signed out`, revoked, token });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+module.exports = router;
@@ -1,9 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose'); // Required for ObjectId casting
-const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
 const Classroom = require('../models/Classroom');
 const Attendance = require('../models/Attendance');
+const StudentCredential = require('../models/StudentCredential');
+const studentAccess = require('../middleware/studentAccess');
+const {
+    STATUS_LABELS,
+    resolveRules,
+    emptyCounts,
+    computeTotals,
+    getRollStatus,
+    buildStatusSwitch
+} = require('../utils/attendanceRules');
+const { describeLock, startOfUtcDay } = require('../utils/attendanceLock');
+const { findEventsInRange } = require('../utils/academicCalendar');
+const { countScheduledClasses, projectSubject } = require('../utils/attendanceProjection');
+const { resolveDateRange, buildDateFilter } = require('../utils/dateRange');
+const { resolveTerm, applyTermSnapshot } = require('../utils/terms');
+const { loadRollAdjustments, summarizeAdjustments, applyAdjustment } = require('../utils/attendanceAdjustments');
+const { buildTrendSeries } = require('../utils/attendanceTrend');
+const { issueSessionToken } = require('../utils/sessions');
+const {
+    rollThrottleKey,
+    getLockedUntil,
+    recordLoginFailure,
+    clearThrottle,
+    sendLockedOut
+} = require('../utils/loginThrottle');
+
+const MIN_PASSCODE_LENGTH = 4;
+const MAX_PASSCODE_LENGTH = 64;
 
 const sanitizeRollNumber = (value) => {
     if (value === undefined || value === null) return null;
@@ -27,12 +55,9 @@ const getClassRollNumbers = (classroom) => {
     return [];
 };
 
-const isRollAbsent = (absentRollNumbers, rollNumber) => {
-    if (!Array.isArray(absentRollNumbers)) return false;
-    return absentRollNumbers.some((roll) => sanitizeRollNumber(roll) === rollNumber);
-};
-
-// Issue student access token after validating class + roll membership
+// Issue student access token after validating class + roll membership.
+// In a protected class the body also needs a passcode: the first login to a roll sets it
+// (claimRequired is returned when it is missing), later logins must match it.
 router.post('/access', async (req, res) => {
     try {
         const className = String(req.body?.className || '').trim();
@@ -44,7 +69,7 @@ router.post('/access', async (req, res) => {
 
         const classroom = await Classroom.findOne({ className })
             .collation({ locale: 'en', strength: 2 })
-            .select('_id className rollNumbers totalStudents blockedRollNumbers')
+            .select('_id className rollNumbers totalStudents blockedRollNumbers studentAccessMode')
             .lean();
 
         if (!classroom) {
@@ -62,11 +87,56 @@ router.post('/access', async (req, res) => {
             return res.status(403).json({ error: 'This roll number\'s attendance is set to private by the class admin.' });
         }
 
-        const token = jwt.sign(
-            { classId: classroom._id.toString(), rollNumber, role: 'student' },
-            process.env.JWT_SECRET,
-            { expiresIn: '30d' }
-        );
+        if (classroom.studentAccessMode === 'protected') {
+            const targetKey = rollThrottleKey(classroom._id, rollNumber);
+            const lockedUntil = await getLockedUntil(targetKey, req.ip);
+            if (lockedUntil) return sendLockedOut(res, lockedUntil);
+
+            const passcode = req.body?.passcode === undefined || req.body?.passcode === null ? '' : String(req.body.passcode);
+            const credential = await StudentCredential.findOne({ classId: classroom._id, rollNumber });
+
+            if (!credential) {
+                if (!passcode) {
+                    return res.status(401).json({
+                        error: 'This roll number has not been claimed yet. Choose a passcode to claim it.',
+                        claimRequired: true
+                    });
+                }
+                if (passcode.length < MIN_PASSCODE_LENGTH || passcode.length > MAX_PASSCODE_LENGTH) {
+                    return res.status(400).json({
+                        error: `passcode must be between ${MIN_PASSCODE_LENGTH} and ${MAX_PASSCODE_LENGTH} characters`
+                    });
+                }
+
+                const salt = await bcrypt.genSalt(10);
+                await StudentCredential.create({
+                    classId: classroom._id,
+                    rollNumber,
+                    passcodeHash: await bcrypt.hash(passcode, salt),
+                    lastLoginAt: new Date()
+                });
+            } else {
+                const isMatch = passcode ? await bcrypt.compare(passcode, credential.passcodeHash) : false;
+                if (!isMatch) {
+                    const lockedNow = await recordLoginFailure({
+                        targetKey,
+                        ip: req.ip,
+                        userAgent: req.get('User-Agent'),
+                        classId: classroom._id,
+                        method: 'student-passcode',
+                        rollNumber
+                    });
+                    if (lockedNow) return sendLockedOut(res, lockedNow);
+                    return res.status(401).json({ error: 'Incorrect passcode' });
+                }
+
+                await clearThrottle(targetKey, req.ip);
+                credential.lastLoginAt = new Date();
+                await credential.save();
+            }
+        }
+
+        const token = await issueSessionToken(req, { classId: classroom._id.toString(), rollNumber, role: 'student' });
 
         res.json({
             classId: classroom._id,
@@ -75,13 +145,116 @@ router.post('/access', async (req, res) => {
             token
         });
     } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ error: 'This roll number was just claimed. Log in with its passcode.' });
+        }
         console.error('Student access error:', err);
         res.status(500).json({ error: 'Server Error' });
     }
 });
 
+// Load the class (as it was in `term`, if given) and check the roll can be reported on.
+// Returns { classroom } or { statusCode, error }.
+const loadStudentClass = async (classId, rollNo, term) => {
+    const liveClassroom = await Classroom.findById(classId).select('className subjects rollNumbers totalStudents blockedRollNumbers attendanceRules attendanceLock timetables').lean();
+    if (!liveClassroom) return { statusCode: 404, error: 'Class not found' };
+
+    // Archived terms are reported with the subjects and roster they had
+    const classroom = applyTermSnapshot(liveClassroom, term);
+
+    const classRollNumbers = getClassRollNumbers(classroom);
+    if (!classRollNumbers.includes(rollNo)) {
+        return { statusCode: 404, error: 'Student not found' };
+    }
+
+    // Check if the student is blocked (privacy opt-out)
+    const blockedRolls = (classroom.blockedRollNumbers || []).map(r => sanitizeRollNumber(r)).filter(Boolean);
+    if (blockedRolls.includes(rollNo)) {
+        return { statusCode: 403, error: 'This roll number\'s attendance is set to private by the class admin.' };
+    }
+
+    return { classroom };
+};
+
+// Per-subject totals for one student, shared by /report and /projection.
+// scope = { from, to, termId, term }: the days counted (unbounded, running term when omitted).
+// Returns { statusCode, error } when the class or roll number cannot be reported on.
+const buildSubjectReport = async (classId, rollNo, scope = {}) => {
+    const { classroom, statusCode, error } = await loadStudentClass(classId, rollNo, scope.term);
+    if (error) return { statusCode, error };
+    const termId = scope.termId || null;
+
+    // 🚀 OPTIMIZATION: Use Aggregation instead of fetching all records
+    const latestAttendance = await Attendance.findOne({ classId, termId }).sort({ updatedAt: -1 }).select('updatedAt').lean();
+    const lastUpdated = latestAttendance ? latestAttendance.updatedAt : null;
+
+    const rules = resolveRules(classroom);
+
+    const stats = await Attendance.aggregate([
+        {
+            $match: { classId: new mongoose.Types.ObjectId(classId), termId, ...buildDateFilter(scope) }
+        },
+        {
+            $unwind: "$periods"
+        },
+        {
+            $project: {
+                subjectId: "$periods.subjectId",
+                status: buildStatusSwitch(rollNo)
+            }
+        },
+        {
+            $group: {
+                _id: { subjectId: "$subjectId", status: "$status" }, // Group by Subject ID + status
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+
+    // Fold the (subject, status) rows into per-subject status counts for O(1) lookup
+    const statsMap = {};
+    stats.forEach(stat => {
+        const subjectKey = String(stat._id.subjectId);
+        if (!statsMap[subjectKey]) statsMap[subjectKey] = emptyCounts();
+        statsMap[subjectKey][stat._id.status] = stat.count;
+    });
+
+    // Credits granted after the fact are reported next to the raw figures, not mixed into them
+    const adjustmentsBySubject = summarizeAdjustments(
+        await loadRollAdjustments(classId, rollNo, { termId }),
+        rollNo,
+        rules,
+        scope
+    );
+
+    // Finalize calculations using Classroom metadata and the class counting rules
+    const subjects = classroom.subjects.map(subject => {
+        const counts = statsMap[subject._id.toString()] || emptyCounts();
+        const { attended, total, percentage } = computeTotals(counts, rules);
+        const adjustment = adjustmentsBySubject[subject._id.toString()] || null;
+
+        return {
+            _id: subject._id,
+            subjectName: subject.name, // Frontend expects 'subjectName'
+            code: subject.code,
+            percentage,
+            attended,
+            total,
+            breakdown: counts,
+            adjustments: adjustment
+                ? { credited: adjustment.credited, periods: adjustment.periods, entries: adjustment.entries }
+                : null,
+            adjusted: applyAdjustment({ attended, total }, adjustment)
+        };
+    });
+
+    return { classroom, rules, lastUpdated, subjects };
+};
+
 // Get overall attendance report
-router.get('/report/:classId/:rollNumber', async (req, res) => {
+// Optional ?range=this-week|this-month|last-30-days|since-last-exam and/or ?from=&to= (YYYY-MM-DD)
+// Optional ?term=<termId> reports an archived term (see GET /api/class/:classId/terms)
+router.get('/report/:classId/:rollNumber', studentAccess, async (req, res) => {
     try {
         const { classId, rollNumber } = req.params;
         const rollNo = sanitizeRollNumber(rollNumber);
@@ -94,89 +267,196 @@ router.get('/report/:classId/:rollNumber', async (req, res) => {
             return res.status(400).json({ error: 'Invalid Roll Number' });
         }
 
-        const classroom = await Classroom.findById(classId).select('className subjects rollNumbers totalStudents blockedRollNumbers').lean();
-        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+        const range = await resolveDateRange(req.query, { classId });
+        if (range.error) return res.status(400).json({ error: range.error });
 
-        const classRollNumbers = getClassRollNumbers(classroom);
-        if (!classRollNumbers.includes(rollNo)) {
-            return res.status(404).json({ error: 'Student not found' });
+        const { termId, term, statusCode, error } = await resolveTerm(classId, req.query.term);
+        if (error) return res.status(statusCode).json({ error });
+
+        const report = await buildSubjectReport(classId, rollNo, { ...range, termId, term });
+        if (report.error) return res.status(report.statusCode).json({ error: report.error });
+
+        res.json({
+            studentRoll: rollNo,
+            className: report.classroom.className,
+            lastUpdated: report.lastUpdated,
+            countingRules: report.rules,
+            range,
+            term: term ? { _id: term._id, name: term.name, startDate: term.startDate, endDate: term.endDate } : null,
+            // Attendance up to and including this date is locked and will not change (null = nothing finalised)
+            finalizedThrough: term ? term.endDate : describeLock(report.classroom).finalizedThrough,
+            subjects: report.subjects
+        });
+
+    } catch (err) {
+        console.error("Report Error:", err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// Get weekly / monthly / cumulative attendance percentages per subject for charts
+// Accepts the same ?range= / ?from= / ?to= window and ?term= as /report.
+// Raw attendance only; adjustments are listed on /report.
+router.get('/trend/:classId/:rollNumber', studentAccess, async (req, res) => {
+    try {
+        const { classId, rollNumber } = req.params;
+        const rollNo = sanitizeRollNumber(rollNumber);
+
+        if (!mongoose.Types.ObjectId.isValid(classId)) {
+            return res.status(400).json({ error: 'Invalid Class ID' });
         }
 
-        // Check if the student is blocked (privacy opt-out)
-        const blockedRolls = (classroom.blockedRollNumbers || []).map(r => sanitizeRollNumber(r)).filter(Boolean);
-        if (blockedRolls.includes(rollNo)) {
-            return res.status(403).json({ error: 'This roll number\'s attendance is set to private by the class admin.' });
+        if (rollNo === null) {
+            return res.status(400).json({ error: 'Invalid Roll Number' });
         }
 
-        // 🚀 OPTIMIZATION: Use Aggregation instead of fetching all records
-        const latestAttendance = await Attendance.findOne({ classId }).sort({ updatedAt: -1 }).select('updatedAt').lean();
-        const lastUpdated = latestAttendance ? latestAttendance.updatedAt : null;
+        const range = await resolveDateRange(req.query, { classId });
+        if (range.error) return res.status(400).json({ error: range.error });
 
-        const absentChecks = [{ $in: [rollNo, "$periods.absentRollNumbers"] }];
-        if (/^\d+$/.test(rollNo)) {
-            absentChecks.push({ $in: [Number(rollNo), "$periods.absentRollNumbers"] });
-        }
+        const { termId, term, statusCode: termStatus, error: termError } = await resolveTerm(classId, req.query.term);
+        if (termError) return res.status(termStatus).json({ error: termError });
+
+        const { classroom, statusCode, error } = await loadStudentClass(classId, rollNo, term);
+        if (error) return res.status(statusCode).json({ error });
 
-        const stats = await Attendance.aggregate([
+        const rows = await Attendance.aggregate([
             {
-                $match: { classId: new mongoose.Types.ObjectId(classId) }
+                $match: { classId: new mongoose.Types.ObjectId(classId), termId: termId || null, ...buildDateFilter(range) }
             },
             {
                 $unwind: "$periods"
             },
+            {
+                $project: {
+                    date: 1,
+                    subjectId: "$periods.subjectId",
+                    status: buildStatusSwitch(rollNo)
+                }
+            },
             {
                 $group: {
-                    _id: "$periods.subjectId", // Group by Subject ID
-                    totalClasses: { $sum: 1 },
-                    attendedClasses: {
-                        $sum: {
-                            // If rollNo is in absent list, add 0, else add 1
-                            $cond: [{ $or: absentChecks }, 0, 1]
-                        }
-                    }
+                    _id: { date: "$date", subjectId: "$subjectId", status: "$status" },
+                    count: { $sum: 1 }
                 }
             }
         ]);
 
-        // Convert array to Map for O(1) lookup
-        const statsMap = {};
-        stats.forEach(stat => {
-            statsMap[stat._id] = stat;
+        const subjectIds = classroom.subjects.map((subject) => subject._id.toString());
+        const series = buildTrendSeries(
+            rows.map((row) => ({ ...row._id, count: row.count })),
+            subjectIds,
+            resolveRules(classroom)
+        );
+
+        res.json({
+            studentRoll: rollNo,
+            range,
+            term: term ? { _id: term._id, name: term.name, startDate: term.startDate, endDate: term.endDate } : null,
+            subjects: classroom.subjects.map((subject) => ({
+                _id: subject._id,
+                subjectName: subject.name,
+                code: subject.code
+            })),
+            ...series
         });
+    } catch (err) {
+        console.error("Trend Error:", err);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+const DEFAULT_THRESHOLD = 75;
+const MAX_PROJECTION_DAYS = 366;
+
+// Get "safe to skip" / "must attend" numbers per subject
+// Optional ?threshold=75 (percent) and ?until=YYYY-MM-DD (last teaching day).
+// With until and a timetable, remaining classes come from the timetable, skipping holidays;
+// otherwise from subjects[].totalClassesExpected minus the classes held so far.
+router.get('/projection/:classId/:rollNumber', studentAccess, async (req, res) => {
+    try {
+        const { classId, rollNumber } = req.params;
+        const rollNo = sanitizeRollNumber(rollNumber);
+
+        if (!mongoose.Types.ObjectId.isValid(classId)) {
+            return res.status(400).json({ error: 'Invalid Class ID' });
+        }
+
+        if (rollNo === null) {
+            return res.status(400).json({ error: 'Invalid Roll Number' });
+        }
+
+        const threshold = req.query.threshold === undefined ? DEFAULT_THRESHOLD : Number(req.query.threshold);
+        if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 100) {
+            return res.status(400).json({ error: 'threshold must be a percentage between 0 and 100' });
+        }
+
+        const { until } = req.query;
+        if (until !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(String(until))) {
+            return res.status(400).json({ error: 'until must be a YYYY-MM-DD date' });
+        }
+
+        const report = await buildSubjectReport(classId, rollNo);
+        if (report.error) return res.status(report.statusCode).json({ error: report.error });
+
+        let scheduled = null;
+        if (until && (report.classroom.timetables || []).length > 0) {
+            // Count from today, or from the day after the latest marked day if that is later
+            const latestDay = await Attendance.findOne({ classId, termId: null }).sort({ date: -1 }).select('date').lean();
+            const today = startOfUtcDay(new Date());
+            const dayAfterLatest = latestDay ? new Date(latestDay.date.getTime() + 24 * 60 * 60 * 1000) : today;
+            const from = dayAfterLatest > today ? dayAfterLatest : today;
+            const untilDate = new Date(`${until}T00:00:00.000Z`);
+
+            if ((untilDate - from) / (24 * 60 * 60 * 1000) > MAX_PROJECTION_DAYS) {
+                return res.status(400).json({ error: `until must be within ${MAX_PROJECTION_DAYS} days` });
+            }
+
+            const events = untilDate >= from ? await findEventsInRange(classId, from, untilDate) : [];
+            scheduled = untilDate >= from ? countScheduledClasses(report.classroom, from, untilDate, events) : {};
+        }
+
+        const expectedById = new Map(report.classroom.subjects.map((subject) => [
+            subject._id.toString(),
+            subject.totalClassesExpected
+        ]));
 
-        // Finalize calculations using Classroom metadata
-        const finalReport = classroom.subjects.map(subject => {
-            // Get stats from map or default to 0
-            const stat = statsMap[subject._id.toString()] || { totalClasses: 0, attendedClasses: 0 };
-            const { totalClasses, attendedClasses } = stat;
+        const subjects = report.subjects.map((subject) => {
+            const subjectId = subject._id.toString();
+            // Held classes include excused ones even though they do not count towards the percentage
+            const held = Object.values(subject.breakdown).reduce((sum, count) => sum + count, 0);
+            const expected = expectedById.get(subjectId);
 
-            const percentage = totalClasses === 0 ? 0 : parseFloat(((attendedClasses / totalClasses) * 100).toFixed(1));
+            let remaining = null;
+            if (scheduled) remaining = scheduled[subjectId] || 0;
+            else if (Number.isFinite(expected) && expected > 0) remaining = Math.max(0, expected - held);
 
             return {
                 _id: subject._id,
-                subjectName: subject.name, // Frontend expects 'subjectName'
+                subjectName: subject.subjectName,
                 code: subject.code,
-                percentage,
-                attended: attendedClasses,
-                total: totalClasses
+                // Projections start from the figures including approved credits
+                percentage: subject.adjusted.percentage,
+                attended: subject.adjusted.attended,
+                total: subject.adjusted.total,
+                remaining,
+                ...projectSubject({ attended: subject.adjusted.attended, total: subject.adjusted.total, remaining, threshold })
             };
         });
 
         res.json({
             studentRoll: rollNo,
-            className: classroom.className,
-            lastUpdated,
-            subjects: finalReport
+            className: report.classroom.className,
+            threshold,
+            remainingFrom: scheduled ? 'timetable' : 'totalClassesExpected',
+            subjects
         });
-
     } catch (err) {
-        console.error("Report Error:", err);
+        console.error("Projection Error:", err);
         res.status(500).json({ error: 'Server Error' });
     }
 });
 
-
-router.get('/day-attendance/:classId/:rollNumber/:date', async (req, res) => {
+router.get('/day-attendance/:classId/:rollNumber/:date', studentAccess, async (req, res) => {
     try {
         const { classId, rollNumber, date } = req.params;
         const rollNo = sanitizeRollNumber(rollNumber);
@@ -218,11 +498,12 @@ router.get('/day-attendance/:classId/:rollNumber/:date', async (req, res) => {
         }
 
         const periodsWithStatus = attendanceRecord.periods.map(period => {
-            const isAbsent = isRollAbsent(period.absentRollNumbers, rollNo);
+            const statusKey = getRollStatus(period, rollNo);
             return {
                 periodNum: period.periodNum,
                 subjectName: period.subjectName,
-                status: isAbsent ? 'Absent' : 'Present'
+                status: STATUS_LABELS[statusKey],
+                statusKey
             };
         });
 
@@ -234,7 +515,8 @@ router.get('/day-attendance/:classId/:rollNumber/:date', async (req, res) => {
 });
 
 // Get detailed history for a specific subject
-router.get('/history/:classId/:rollNumber/:subjectId', async (req, res) => {
+// Accepts the same ?range= / ?from= / ?to= window and ?term= as /report
+router.get('/history/:classId/:rollNumber/:subjectId', studentAccess, async (req, res) => {
     try {
         const { classId, rollNumber, subjectId } = req.params;
         const rollNo = sanitizeRollNumber(rollNumber);
@@ -247,19 +529,27 @@ router.get('/history/:classId/:rollNumber/:subjectId', async (req, res) => {
             return res.status(400).json({ error: 'Invalid Roll Number' });
         }
 
-        const classroom = await Classroom.findById(classId).select('rollNumbers totalStudents').lean();
-        if (!classroom) return res.status(404).json({ error: 'Class not found' });
+        const liveClassroom = await Classroom.findById(classId).select('rollNumbers totalStudents').lean();
+        if (!liveClassroom) return res.status(404).json({ error: 'Class not found' });
 
-        const classRollNumbers = getClassRollNumbers(classroom);
+        const { termId, term, statusCode, error } = await resolveTerm(classId, req.query.term);
+        if (error) return res.status(statusCode).json({ error });
+
+        const classRollNumbers = getClassRollNumbers(applyTermSnapshot(liveClassroom, term));
         if (!classRollNumbers.includes(rollNo)) {
             return res.status(404).json({ error: 'Student not found' });
         }
 
+        const range = await resolveDateRange(req.query, { classId });
+        if (range.error) return res.status(400).json({ error: range.error });
+
         // Find all attendance records containing this subject
         // Sort by date descending (newest first)
         const records = await Attendance.find({
             classId: classId,
-            'periods.subjectId': subjectId
+            'periods.subjectId': subjectId,
+            termId,
+            ...buildDateFilter(range)
         }).select('date periods').sort({ date: -1 }).lean();
 
         const history = [];
@@ -269,15 +559,17 @@ router.get('/history/:classId/:rollNumber/:subjectId', async (req, res) => {
             const relevantPeriods = record.periods.filter(p => String(p.subjectId) === String(subjectId));
 
             relevantPeriods.forEach(p => {
+                const statusKey = getRollStatus(p, rollNo);
                 history.push({
                     date: record.date, // Frontend will format this
-                    status: isRollAbsent(p.absentRollNumbers, rollNo) ? 'Absent' : 'Present',
+                    status: STATUS_LABELS[statusKey],
+                    statusKey,
                     periodNum: p.periodNum
                 });
             });
         });
 
-        res.json({ history });
+        res.json({ history, range });
 
     } catch (err) {
         console.error("History Error:", err);
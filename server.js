@@ -14,9 +14,26 @@ const reportRoutes = require('./routes/reportRoutes');
 const announcementRoutes = require('./routes/announcementRoutes');
 const aiRoutes = require('./routes/aiRoutes');
 const pushRoutes = require('./routes/pushRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const adjustmentRoutes = require('./routes/adjustmentRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const sessionRoutes = require('./routes/sessionRoutes');
 
 const app = express();
 
+// ─── Proxy ───
+// req.ip feeds the rate limiter and the login lockouts, so behind a reverse proxy or load balancer
+// it must be the client's address, not the proxy's. TRUST_PROXY takes the number of proxy hops
+// (e.g. 1), "true", or a comma-separated list of trusted addresses/subnets. Unset: trust nothing.
+const parseTrustProxy = (value) => {
+    if (value === undefined || value.trim() === '') return false;
+    if (/^\d+$/.test(value.trim())) return Number(value);
+    if (['true', 'false'].includes(value.trim().toLowerCase())) return value.trim().toLowerCase() === 'true';
+    return value.split(',').map((entry) => entry.trim()).filter(Boolean);
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // ─── CORS — must come before Helmet ───
 // ─── CORS — must come before Helmet ───
 const corsOptions = {
@@ -87,6 +104,11 @@ app.use('/api/reports', reportRoutes);
 app.use('/api/announcements', announcementRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/push', pushRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/adjustments', adjustmentRoutes);
+app.use('/api/admins', adminRoutes);
+app.use('/api/sessions', sessionRoutes);
 
 // Health check
 app.get('/', (req, res) => {
@@ -0,0 +1,156 @@
+const Attendance = require('../models/Attendance');
+const { emptyCounts, getRollStatus } = require('./attendanceRules');
+
+// How many earlier attendance days make up the class's "typical" absence rate
+const BASELINE_DAYS = 30;
+
+const toIsoDay = (date) => new Date(date).toISOString().split('T')[0];
+
+const roundPercentage = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Who was absent when on one attendance day. Only rolls on the roster count, and only the
+ * "absent" status is an absence; other statuses are reported per period in the breakdown.
+ * @param {object} record - Attendance document (date, periods)
+ * @param {Array<string>} rollNumbers - Class roster
+ * @returns {{ date, periods: Array, absentAllDay: Array<string>, absentSomePeriods: Array, absentPeriods: number, absenceRate: number }}
+ */
+const summarizeAbsenceDay = (record, rollNumbers) => {
+    const periods = [...(record?.periods || [])].sort((a, b) => a.periodNum - b.periodNum);
+    const missedByRoll = new Map();
+
+    const periodSummaries = periods.map((period) => {
+        const breakdown = emptyCounts();
+        const absentRollNumbers = [];
+
+        rollNumbers.forEach((rollNumber) => {
+            const status = getRollStatus(period, rollNumber);
+            breakdown[status] += 1;
+            if (status !== 'absent') return;
+            absentRollNumbers.push(rollNumber);
+            if (!missedByRoll.has(rollNumber)) missedByRoll.set(rollNumber, []);
+            missedByRoll.get(rollNumber).push(period.periodNum);
+        });
+
+        return {
+            periodNum: period.periodNum,
+            subjectId: period.subjectId,
+            subjectName: period.subjectName,
+            absent: absentRollNumbers.length,
+            absentRollNumbers,
+            breakdown
+        };
+    });
+
+    const absentAllDay = [];
+    const absentSomePeriods = [];
+    rollNumbers.forEach((rollNumber) => {
+        const missed = missedByRoll.get(rollNumber);
+        if (!missed) return;
+        if (missed.length === periods.length) {
+            absentAllDay.push(rollNumber);
+        } else {
+            absentSomePeriods.push({ rollNumber, periods: missed });
+        }
+    });
+
+    const absentPeriods = periodSummaries.reduce((sum, period) => sum + period.absent, 0);
+    const slots = periods.length * rollNumbers.length;
+
+    return {
+        date: toIsoDay(record.date),
+        periods: periodSummaries,
+        absentAllDay,
+        absentSomePeriods,
+        absentPeriods,
+        absenceRate: slots === 0 ? 0 : roundPercentage((absentPeriods / slots) * 100)
+    };
+};
+
+/**
+ * Average absence rate over the attendance days recorded before a date in the same term.
+ * @returns {Promise<{ absenceRate: number|null, daysCompared: number }>}
+ */
+const getTypicalAbsenceRate = async (classId, before, rollNumbers, termId = null) => {
+    const records = await Attendance.find({
+        classId,
+        termId,
+        date: { $lt: before },
+        periods: { $exists: true, $not: { $size: 0 } }
+    })
+        .select('date periods')
+        .sort({ date: -1 })
+        .limit(BASELINE_DAYS)
+        .lean();
+
+    if (records.length === 0) return { absenceRate: null, daysCompared: 0 };
+
+    const rates = records.map((record) => summarizeAbsenceDay(record, rollNumbers).absenceRate);
+    return {
+        absenceRate: roundPercentage(rates.reduce((sum, rate) => sum + rate, 0) / rates.length),
+        daysCompared: records.length
+    };
+};
+
+// How a rate sits against the typical one; difference is in percentage points
+const compareWithTypical = (absenceRate, typical) => ({
+    typicalAbsenceRate: typical.absenceRate,
+    daysCompared: typical.daysCompared,
+    difference: typical.absenceRate === null ? null : roundPercentage(absenceRate - typical.absenceRate)
+});
+
+/**
+ * Fold several day summaries into a digest: per-day headline figures and the rolls that missed most.
+ * @param {Array} days - summarizeAbsenceDay() results, oldest first
+ * @param {number} rosterSize - Number of rolls the days were summarized for
+ */
+const buildAbsenceDigest = (days, rosterSize) => {
+    const byRoll = new Map();
+    days.forEach((day) => {
+        const touch = (rollNumber) => {
+            if (!byRoll.has(rollNumber)) {
+                byRoll.set(rollNumber, { rollNumber, absentPeriods: 0, daysAbsentAllDay: 0, daysWithAbsence: 0 });
+            }
+            const entry = byRoll.get(rollNumber);
+            entry.daysWithAbsence += 1;
+            return entry;
+        };
+
+        day.absentAllDay.forEach((rollNumber) => {
+            const entry = touch(rollNumber);
+            entry.daysAbsentAllDay += 1;
+            entry.absentPeriods += day.periods.length;
+        });
+        day.absentSomePeriods.forEach(({ rollNumber, periods }) => {
+            touch(rollNumber).absentPeriods += periods.length;
+        });
+    });
+
+    const absentPeriods = days.reduce((sum, day) => sum + day.absentPeriods, 0);
+    const slots = days.reduce((sum, day) => sum + day.periods.length, 0) * rosterSize;
+
+    return {
+        days: days.map((day) => ({
+            date: day.date,
+            periods: day.periods.length,
+            absentPeriods: day.absentPeriods,
+            absentAllDay: day.absentAllDay.length,
+            absentSomePeriods: day.absentSomePeriods.length,
+            absenceRate: day.absenceRate
+        })),
+        absentPeriods,
+        absenceRate: slots === 0 ? 0 : roundPercentage((absentPeriods / slots) * 100),
+        students: [...byRoll.values()].sort((a, b) =>
+            b.absentPeriods - a.absentPeriods ||
+            String(a.rollNumber).localeCompare(String(b.rollNumber), undefined, { numeric: true })
+        )
+    };
+};
+
+module.exports = {
+    BASELINE_DAYS,
+    summarizeAbsenceDay,
+    getTypicalAbsenceRate,
+    compareWithTypical,
+    buildAbsenceDigest
+};
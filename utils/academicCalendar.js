@@ -0,0 +1,291 @@
+const CalendarEvent = require('../models/CalendarEvent');
+
+const EVENT_TYPES = ['holiday', 'exam', 'cancelled'];
+
+// Holidays and cancelled days block marking by default; exam weeks only warn
+const DEFAULT_BLOCKS_ATTENDANCE = {
+    holiday: true,
+    exam: false,
+    cancelled: true
+};
+
+/**
+ * Calendar events covering a date.
+ * @returns {Promise<Array>}
+ */
+const findEventsOnDate = (classId, date) => CalendarEvent.find({
+    classId,
+    startDate: { $lte: date },
+    endDate: { $gte: date }
+}).sort({ startDate: 1 }).lean();
+
+/**
+ * Calendar events overlapping [from, to]; either bound may be omitted.
+ * @returns {Promise<Array>}
+ */
+const findEventsInRange = (classId, from, to) => {
+    const filter = { classId };
+    if (to) filter.startDate = { $lte: to };
+    if (from) filter.endDate = { $gte: from };
+    return CalendarEvent.find(filter).sort({ startDate: 1 }).lean();
+};
+
+// Events from an already-fetched list that cover a date
+const eventsOnDate = (events, date) => {
+    const time = new Date(date).getTime();
+    return events.filter((event) =>
+        new Date(event.startDate).getTime() <= time && new Date(event.endDate).getTime() >= time
+    );
+};
+
+/**
+ * Decide whether attendance may be written on a date.
+ * @returns {Promise<{ blocked: Array, warnings: Array }>} Events that refuse the write, and events that only warn
+ */
+const checkCalendarForDate = async (classId, date) => {
+    const events = await findEventsOnDate(classId, date);
+    const summary = (event) => ({
+        _id: event._id,
+        type: event.type,
+        title: event.title,
+        startDate: event.startDate,
+        endDate: event.endDate
+    });
+
+    return {
+        blocked: events.filter((event) => event.blocksAttendance).map(summary),
+        warnings: events.filter((event) => !event.blocksAttendance).map(summary)
+    };
+};
+
+// --- iCal import ---
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Recurring events are expanded up to this far ahead when the rule has no COUNT or UNTIL
+const RECURRENCE_HORIZON_MS = 2 * 366 * DAY_MS;
+// More occurrences than this for one event is almost certainly not a holiday calendar
+const MAX_OCCURRENCES = 500;
+
+const unescapeText = (value) => String(value)
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+
+const toIsoDay = (date) => date.toISOString().split('T')[0];
+
+// Throws a RangeError for an unknown IANA zone such as "Asia/Kolkatta"
+const assertTimeZone = (timeZone) => new Intl.DateTimeFormat('en-US', { timeZone });
+
+// Calendar day and wall-clock time of a UTC instant in a time zone
+const localParts = (instant, timeZone) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(instant).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    return parts;
+};
+
+/**
+ * "20260126", "20260126T090000" (floating or TZID, already local) or "20260126T183000Z" (UTC,
+ * converted to the class's time zone first) → UTC-midnight Date of that calendar day.
+ * @returns {{ date: Date, midnight: boolean } | null}
+ */
+const parseICalDate = (value, timeZone = 'UTC') => {
+    const match = String(value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+
+    let [year, month, day, hour, minute, second] = match.slice(1, 4).concat(match.slice(5, 8)).map(Number);
+    if (match[8]) {
+        ({ year, month, day, hour, minute, second } = localParts(
+            new Date(Date.UTC(year, month - 1, day, hour, minute, second)),
+            timeZone
+        ));
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (Number.isNaN(date.getTime())) return null;
+    return { date, midnight: !match[4] || (!hour && !minute && !second) };
+};
+
+// "FREQ=WEEKLY;INTERVAL=2;COUNT=5" → { FREQ: 'WEEKLY', INTERVAL: '2', COUNT: '5' }
+const parseRRule = (value) => Object.fromEntries(String(value).split(';')
+    .map((part) => part.split('='))
+    .filter(([key, ruleValue]) => key && ruleValue !== undefined)
+    .map(([key, ruleValue]) => [key.trim().toUpperCase(), ruleValue.trim()]));
+
+// Start of the n-th period after `start`; null when that month has no such day (e.g. the 31st or 29 Feb)
+const stepDate = (start, freq, n) => {
+    if (freq === 'DAILY') return new Date(start.getTime() + n * DAY_MS);
+    if (freq === 'WEEKLY') return new Date(start.getTime() + n * 7 * DAY_MS);
+
+    const months = freq === 'MONTHLY' ? n : n * 12;
+    const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, start.getUTCDate()));
+    return date.getUTCDate() === start.getUTCDate() ? date : null;
+};
+
+/**
+ * Start dates of a recurring event. Supports FREQ=DAILY|WEEKLY|MONTHLY|YEARLY with INTERVAL, COUNT
+ * and UNTIL, which covers recurring holidays; rules with BY* parts are refused rather than guessed at.
+ * @returns {{ starts: Array<Date> } | { error: string }}
+ */
+const expandRecurrence = (event, timeZone, now) => {
+    const rule = parseRRule(event.rrule);
+    const label = `"${event.title || 'Untitled event'}"`;
+
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ)) {
+        return { error: `${label} repeats with an unsupported rule (${event.rrule})` };
+    }
+    const unsupported = Object.keys(rule).filter((key) => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'WKST'].includes(key));
+    if (unsupported.length > 0) {
+        return { error: `${label} uses ${unsupported.join(', ')} in its repeat rule, which cannot be imported. Add its dates as separate events.` };
+    }
+
+    const interval = rule.INTERVAL ? Number(rule.INTERVAL) : 1;
+    const count = rule.COUNT ? Number(rule.COUNT) : null;
+    const until = rule.UNTIL ? parseICalDate(rule.UNTIL, timeZone)?.date : null;
+    if (!Number.isInteger(interval) || interval < 1 || (count !== null && (!Number.isInteger(count) || count < 1))
+        || (rule.UNTIL && !until)) {
+        return { error: `${label} has an invalid repeat rule (${event.rrule})` };
+    }
+
+    const horizon = until || new Date(Math.max(now.getTime(), event.start.date.getTime()) + RECURRENCE_HORIZON_MS);
+    const excluded = new Set(event.exdates.map(toIsoDay));
+    const starts = [];
+    let generated = 0;
+
+    for (let n = 0; count === null || generated < count; n += 1) {
+        const start = stepDate(event.start.date, rule.FREQ, n * interval);
+        if (start && start > horizon) break;
+        if (!start) continue;
+
+        generated += 1;
+        if (!excluded.has(toIsoDay(start))) starts.push(start);
+        if (starts.length > MAX_OCCURRENCES) {
+            return { error: `${label} repeats more than ${MAX_OCCURRENCES} times. Give it an end date (UNTIL or COUNT).` };
+        }
+    }
+
+    return { starts };
+};
+
+/**
+ * Parse the VEVENTs of an iCalendar (.ics) file into whole-day ranges.
+ * DTEND is exclusive in iCal, so an all-day event ending "20260127" covers up to the 26th.
+ * Times in UTC are moved to the class's day using timeZone (default: the file's X-WR-TIMEZONE, else UTC).
+ * Recurring events become one event per occurrence with the UID "<uid>#<YYYY-MM-DD>", and a changed
+ * occurrence (RECURRENCE-ID) replaces the one it overrides.
+ * @param {object} [options] - { timeZone, now }
+ * @returns {{ events: Array<{ uid, title, categories, startDate, endDate }> } | { error: string }}
+ */
+const parseICal = (text, { timeZone, now = new Date() } = {}) => {
+    // Unfold continuation lines (CRLF followed by a space or tab)
+    const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const calendarZone = lines.find((line) => line.toUpperCase().startsWith('X-WR-TIMEZONE:'));
+    const zone = timeZone || (calendarZone ? calendarZone.slice(calendarZone.indexOf(':') + 1).trim() : 'UTC');
+    try {
+        assertTimeZone(zone);
+    } catch (err) {
+        return { error: `Unknown time zone ${zone}` };
+    }
+
+    const raw = [];
+    let current = null;
+
+    lines.forEach((line) => {
+        if (line === 'BEGIN:VEVENT') {
+            current = { exdates: [] };
+            return;
+        }
+        if (line === 'END:VEVENT') {
+            if (current) raw.push(current);
+            current = null;
+            return;
+        }
+        if (!current) return;
+
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        const name = line.slice(0, separator).split(';')[0].toUpperCase();
+        const value = line.slice(separator + 1);
+
+        if (name === 'UID') current.uid = value.trim();
+        else if (name === 'SUMMARY') current.title = unescapeText(value).trim();
+        else if (name === 'CATEGORIES') current.categories = unescapeText(value).trim();
+        else if (name === 'DTSTART') current.start = parseICalDate(value, zone);
+        else if (name === 'DTEND') current.end = parseICalDate(value, zone);
+        else if (name === 'RRULE') current.rrule = value.trim();
+        else if (name === 'RECURRENCE-ID') current.recurrenceId = parseICalDate(value, zone);
+        else if (name === 'EXDATE') {
+            value.split(',').map((item) => parseICalDate(item, zone)).filter(Boolean)
+                .forEach(({ date }) => current.exdates.push(date));
+        }
+    });
+
+    const byUid = new Map();
+    const overrides = [];
+
+    for (const event of raw.filter((candidate) => candidate.start)) {
+        const startDate = event.start.date;
+        let endDate = event.end ? event.end.date : startDate;
+        if (event.end && event.end.midnight && endDate > startDate) {
+            endDate = new Date(endDate.getTime() - DAY_MS);
+        }
+        const base = {
+            uid: event.uid || null,
+            title: event.title || 'Untitled event',
+            categories: event.categories || ''
+        };
+
+        if (event.recurrenceId && event.uid) {
+            overrides.push({ ...base, uid: `${event.uid}#${toIsoDay(event.recurrenceId.date)}`, startDate, endDate });
+            continue;
+        }
+        if (!event.rrule) {
+            byUid.set(base.uid || Symbol('no-uid'), { ...base, startDate, endDate });
+            continue;
+        }
+
+        const expanded = expandRecurrence(event, zone, now);
+        if (expanded.error) return { error: expanded.error };
+        const length = endDate.getTime() - startDate.getTime();
+        expanded.starts.forEach((start) => {
+            const uid = `${event.uid || base.title}#${toIsoDay(start)}`;
+            byUid.set(uid, { ...base, uid, startDate: start, endDate: new Date(start.getTime() + length) });
+        });
+    }
+
+    overrides.forEach((event) => byUid.set(event.uid, event));
+    return { events: [...byUid.values()] };
+};
+
+/**
+ * Guess the event type from its title and categories.
+ * @returns {string} One of EVENT_TYPES
+ */
+const inferEventType = ({ title, categories }, defaultType = 'holiday') => {
+    const text = `${title || ''} ${categories || ''}`.toLowerCase();
+    if (/exam|test|assessment|internal|midterm|mid-term|\bcia\b/.test(text)) return 'exam';
+    if (/cancel|suspend/.test(text)) return 'cancelled';
+    if (/holiday|vacation|break|festival|closed|leave/.test(text)) return 'holiday';
+    return EVENT_TYPES.includes(defaultType) ? defaultType : 'holiday';
+};
+
+module.exports = {
+    EVENT_TYPES,
+    DEFAULT_BLOCKS_ATTENDANCE,
+    findEventsOnDate,
+    findEventsInRange,
+    eventsOnDate,
+    checkCalendarForDate,
+    parseICal,
+    inferEventType
+};
@@ -0,0 +1,186 @@
+const Attendance = require('../models/Attendance');
+const AttendanceAdjustment = require('../models/AttendanceAdjustment');
+const { getRollStatus } = require('./attendanceRules');
+
+const ADJUSTMENT_CATEGORIES = ['event', 'medical', 'condonation', 'other'];
+
+const toIsoDay = (date) => new Date(date).toISOString().split('T')[0];
+
+const inRange = (date, { from, to } = {}) => {
+    const time = new Date(date).getTime();
+    if (from && time < new Date(from).getTime()) return false;
+    if (to && time > new Date(to).getTime()) return false;
+    return true;
+};
+
+// The attendance days that the periods of some adjustments point at
+const loadAdjustedRecords = async (classId, adjustments) => {
+    const dates = [...new Set(adjustments.flatMap((adjustment) =>
+        (adjustment.periods || []).map((period) => toIsoDay(period.date))
+    ))];
+
+    if (dates.length === 0) return [];
+    return Attendance.find({ classId, date: { $in: dates.map((day) => new Date(`${day}T00:00:00.000Z`)) } })
+        .select('date periods')
+        .lean();
+};
+
+/**
+ * Active (not revoked) adjustments of one roll, with the attendance days their periods point at.
+ * @param {object} scope - { termId?, from?, to? } as used for the report
+ * @returns {Promise<{ adjustments: Array, records: Array }>}
+ */
+const loadRollAdjustments = async (classId, rollNumber, scope = {}) => {
+    const adjustments = await AttendanceAdjustment.find({
+        classId,
+        rollNumber,
+        termId: scope.termId || null,
+        revokedAt: null
+    }).sort({ createdAt: 1 }).lean();
+
+    return { adjustments, records: await loadAdjustedRecords(classId, adjustments) };
+};
+
+/**
+ * Fold a roll's adjustments into per-subject deltas on top of raw attendance.
+ * A credited period counts as fully attended: an absence gains its missing credit, and a period
+ * that did not count (e.g. excused) starts counting. Crediting the same period twice has no extra effect.
+ * @param {object} rules - Class counting rules (resolveRules)
+ * @returns {Object<string, { credited: number, periods: number, attendedDelta: number, totalDelta: number, entries: Array }>}
+ */
+const summarizeAdjustments = ({ adjustments, records }, rollNumber, rules, range = {}) => {
+    const recordsByDay = new Map(records.map((record) => [toIsoDay(record.date), record]));
+    const seenPeriods = new Set();
+    const bySubject = {};
+
+    const subjectEntry = (subjectId) => {
+        if (!bySubject[subjectId]) {
+            bySubject[subjectId] = { credited: 0, periods: 0, attendedDelta: 0, totalDelta: 0, entries: [] };
+        }
+        return bySubject[subjectId];
+    };
+
+    adjustments.forEach((adjustment) => {
+        const summary = subjectEntry(String(adjustment.subjectId));
+        let applied = false;
+
+        if (adjustment.credit > 0 && inRange(adjustment.effectiveDate, range)) {
+            summary.credited += adjustment.credit;
+            summary.attendedDelta += adjustment.credit;
+            applied = true;
+        }
+
+        (adjustment.periods || []).forEach(({ date, periodNum }) => {
+            const day = toIsoDay(date);
+            const key = `${adjustment.subjectId}#${day}#${periodNum}`;
+            if (seenPeriods.has(key) || !inRange(date, range)) return;
+            seenPeriods.add(key);
+
+            const period = (recordsByDay.get(day)?.periods || []).find((candidate) =>
+                candidate.periodNum === periodNum && String(candidate.subjectId) === String(adjustment.subjectId)
+            );
+            if (!period) return; // The period was since removed from the day
+
+            const status = getRollStatus(period, rollNumber);
+            const rule = rules[status];
+            summary.periods += 1;
+            summary.attendedDelta += rule.counted ? 1 - rule.credit : 1;
+            summary.totalDelta += rule.counted ? 0 : 1;
+            applied = true;
+        });
+
+        if (applied) {
+            summary.entries.push({
+                _id: adjustment._id,
+                category: adjustment.category,
+                reason: adjustment.reason,
+                credit: adjustment.credit,
+                periods: adjustment.periods,
+                effectiveDate: adjustment.effectiveDate,
+                createdAt: adjustment.createdAt
+            });
+        }
+    });
+
+    return bySubject;
+};
+
+/**
+ * Raw attended / total plus a subject's adjustment deltas. Credits never push attended above total.
+ * @returns {{ attended: number, total: number, percentage: number }}
+ */
+const applyAdjustment = ({ attended, total }, adjustment) => {
+    const adjustedTotal = total + (adjustment?.totalDelta || 0);
+    const adjustedAttended = parseFloat(
+        Math.min(adjustedTotal, attended + (adjustment?.attendedDelta || 0)).toFixed(2)
+    );
+    return {
+        attended: adjustedAttended,
+        total: adjustedTotal,
+        percentage: adjustedTotal === 0 ? 0 : parseFloat(((adjustedAttended / adjustedTotal) * 100).toFixed(1))
+    };
+};
+
+/**
+ * summarizeAdjustments() for every roll of a class that has active adjustments, so class-wide figures
+ * (alerts, analytics, export) can match the student's own report.
+ * @param {object} rules - Class counting rules (resolveRules)
+ * @param {object} scope - { termId?, from?, to? }
+ * @returns {Promise<Map<string, object>>} roll → per-subject deltas; rolls without adjustments are left out
+ */
+const loadClassAdjustments = async (classId, rules, scope = {}) => {
+    const adjustments = await AttendanceAdjustment.find({
+        classId,
+        termId: scope.termId || null,
+        revokedAt: null
+    }).sort({ createdAt: 1 }).lean();
+    if (adjustments.length === 0) return new Map();
+
+    const records = await loadAdjustedRecords(classId, adjustments);
+    const byRoll = new Map();
+    adjustments.forEach((adjustment) => {
+        if (!byRoll.has(adjustment.rollNumber)) byRoll.set(adjustment.rollNumber, []);
+        byRoll.get(adjustment.rollNumber).push(adjustment);
+    });
+
+    const range = { from: scope.from, to: scope.to };
+    return new Map([...byRoll].map(([rollNumber, rollAdjustments]) => [
+        rollNumber,
+        summarizeAdjustments({ adjustments: rollAdjustments, records }, rollNumber, rules, range)
+    ]));
+};
+
+/**
+ * A summarizeRoll() result with the roll's adjustments applied per subject; overall is re-summed
+ * from the adjusted subjects. Returned unchanged when the roll has no adjustments.
+ * @param {object} summary - { subjects, overall } from summarizeRoll
+ * @param {object|undefined} bySubject - The roll's entry from loadClassAdjustments
+ */
+const applyRollAdjustments = (summary, bySubject, subjectIds) => {
+    if (!bySubject) return summary;
+
+    const subjects = {};
+    subjectIds.forEach((subjectId) => {
+        subjects[subjectId] = applyAdjustment(summary.subjects[subjectId], bySubject[subjectId]);
+    });
+
+    const total = subjectIds.reduce((sum, subjectId) => sum + subjects[subjectId].total, 0);
+    const attended = parseFloat(subjectIds.reduce((sum, subjectId) => sum + subjects[subjectId].attended, 0).toFixed(2));
+    return {
+        subjects,
+        overall: {
+            attended,
+            total,
+            percentage: total === 0 ? 0 : parseFloat(((attended / total) * 100).toFixed(1))
+        }
+    };
+};
+
+module.exports = {
+    ADJUSTMENT_CATEGORIES,
+    loadRollAdjustments,
+    loadClassAdjustments,
+    summarizeAdjustments,
+    applyAdjustment,
+    applyRollAdjustments
+};
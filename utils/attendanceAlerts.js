@@ -0,0 +1,186 @@
+const Classroom = require('../models/Classroom');
+const AttendanceAlertState = require('../models/AttendanceAlertState');
+const { resolveRules, computeTotals } = require('./attendanceRules');
+const { aggregateClassTallies, expandTallies } = require('./attendanceStats');
+const { loadClassAdjustments, applyAdjustment } = require('./attendanceAdjustments');
+const { sendPushToRoll } = require('./pushService');
+
+const DEFAULT_ALERT_SETTINGS = {
+    enabled: true,
+    threshold: 75,
+    warningBand: 5,
+    minimumClasses: 5
+};
+
+const LEVEL_RANK = { ok: 0, warning: 1, below: 2 };
+
+const sanitizeRollNumber = (value) => {
+    if (value === undefined || value === null) return null;
+    const cleaned = String(value).trim();
+    return cleaned || null;
+};
+
+const getClassRollNumbers = (classroom) => {
+    if (Array.isArray(classroom?.rollNumbers) && classroom.rollNumbers.length > 0) {
+        return classroom.rollNumbers
+            .map((roll) => sanitizeRollNumber(roll))
+            .filter(Boolean);
+    }
+
+    // Legacy fallback for old class documents that only have totalStudents.
+    const totalStudents = Number(classroom?.totalStudents);
+    if (Number.isInteger(totalStudents) && totalStudents > 0) {
+        return Array.from({ length: totalStudents }, (_, index) => String(index + 1));
+    }
+
+    return [];
+};
+
+// Class alert settings with defaults filled in for classes created before they existed
+const resolveAlertSettings = (classroom) => {
+    const stored = classroom?.alertSettings || {};
+    const settings = { ...DEFAULT_ALERT_SETTINGS };
+    Object.keys(DEFAULT_ALERT_SETTINGS).forEach((key) => {
+        if (stored[key] !== undefined && stored[key] !== null) settings[key] = stored[key];
+    });
+    return settings;
+};
+
+/**
+ * Validate a partial alert settings update.
+ * @returns {{ settings?: object, error?: string }}
+ */
+const sanitizeAlertSettingsInput = (input) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'alertSettings must be an object' };
+    }
+
+    const settings = {};
+    if (input.enabled !== undefined) {
+        if (typeof input.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+        settings.enabled = input.enabled;
+    }
+    if (input.threshold !== undefined) {
+        const threshold = Number(input.threshold);
+        if (!Number.isFinite(threshold) || threshold < 1 || threshold > 100) {
+            return { error: 'threshold must be a percentage between 1 and 100' };
+        }
+        settings.threshold = threshold;
+    }
+    if (input.warningBand !== undefined) {
+        const warningBand = Number(input.warningBand);
+        if (!Number.isFinite(warningBand) || warningBand < 0 || warningBand > 50) {
+            return { error: 'warningBand must be between 0 and 50 percentage points' };
+        }
+        settings.warningBand = warningBand;
+    }
+    if (input.minimumClasses !== undefined) {
+        const minimumClasses = Number(input.minimumClasses);
+        if (!Number.isInteger(minimumClasses) || minimumClasses < 1) {
+            return { error: 'minimumClasses must be a positive whole number' };
+        }
+        settings.minimumClasses = minimumClasses;
+    }
+
+    return { settings };
+};
+
+const alertLevelFor = (percentage, settings) => {
+    if (percentage < settings.threshold) return 'below';
+    if (percentage < settings.threshold + settings.warningBand) return 'warning';
+    return 'ok';
+};
+
+/**
+ * Recompute per-subject percentages after attendance changed and push an alert to every
+ * student who newly fell into the warning band or below the threshold.
+ * Percentages include the student's adjustments, the same figure their report shows as adjusted.
+ * A student is alerted once per crossing; climbing back to 'ok' re-arms the alert.
+ * @param {string} classId
+ * @param {Array<string>} [subjectIds] - Subjects touched by the change; all subjects when omitted
+ * @returns {Promise<number>} Number of students alerted
+ */
+const evaluateAttendanceAlerts = async (classId, subjectIds) => {
+    const classroom = await Classroom.findById(classId)
+        .select('className subjects rollNumbers totalStudents blockedRollNumbers attendanceRules alertSettings')
+        .lean();
+    if (!classroom) return 0;
+
+    const settings = resolveAlertSettings(classroom);
+    if (!settings.enabled) return 0;
+
+    const wanted = Array.isArray(subjectIds) && subjectIds.length > 0 ? new Set(subjectIds.map(String)) : null;
+    const subjects = (classroom.subjects || []).filter((subject) => !wanted || wanted.has(subject._id.toString()));
+    if (subjects.length === 0) return 0;
+
+    const ids = subjects.map((subject) => subject._id.toString());
+    const blocked = new Set((classroom.blockedRollNumbers || []).map(sanitizeRollNumber).filter(Boolean));
+    const rollNumbers = getClassRollNumbers(classroom).filter((roll) => !blocked.has(roll));
+    const rules = resolveRules(classroom);
+
+    const tallies = await aggregateClassTallies({ classId, subjectIds: ids });
+    const counts = expandTallies(tallies, rollNumbers, ids);
+    const adjustmentsByRoll = await loadClassAdjustments(classId, rules);
+
+    const states = await AttendanceAlertState.find({ classId, subjectId: { $in: ids } }).lean();
+    const stateByKey = new Map(states.map((state) => [`${state.rollNumber}#${state.subjectId}`, state]));
+
+    const now = new Date();
+    const updates = [];
+    const alertsByRoll = new Map();
+
+    rollNumbers.forEach((roll) => {
+        subjects.forEach((subject) => {
+            const subjectId = subject._id.toString();
+            const { total, percentage } = applyAdjustment(
+                computeTotals(counts[roll][subjectId], rules),
+                adjustmentsByRoll.get(roll)?.[subjectId]
+            );
+            if (total < settings.minimumClasses) return;
+
+            const level = alertLevelFor(percentage, settings);
+            const previous = stateByKey.get(`${roll}#${subjectId}`)?.level || 'ok';
+            if (level === previous) return;
+
+            const alert = LEVEL_RANK[level] > LEVEL_RANK[previous];
+            const $set = { level, percentage };
+            if (alert) {
+                $set.alertedAt = now;
+                if (!alertsByRoll.has(roll)) alertsByRoll.set(roll, []);
+                alertsByRoll.get(roll).push({ subjectName: subject.name, percentage, level });
+            }
+
+            updates.push({
+                updateOne: {
+                    filter: { classId, rollNumber: roll, subjectId },
+                    update: { $set },
+                    upsert: true
+                }
+            });
+        });
+    });
+
+    // Record the new levels before pushing, so an overlapping run cannot alert the same crossing twice
+    if (updates.length > 0) await AttendanceAlertState.bulkWrite(updates, { ordered: false });
+
+    for (const [roll, alerts] of alertsByRoll) {
+        const below = alerts.some((alert) => alert.level === 'below');
+        await sendPushToRoll(classId, roll, {
+            title: below ? '⚠️ Attendance below requirement' : '⚠️ Attendance getting close',
+            body: alerts
+                .map((alert) => `${alert.subjectName}: ${alert.percentage}% (${alert.level === 'below' ? 'below' : 'near'} ${settings.threshold}%)`)
+                .join(' · '),
+            url: '/'
+        });
+    }
+
+    return alertsByRoll.size;
+};
+
+module.exports = {
+    DEFAULT_ALERT_SETTINGS,
+    resolveAlertSettings,
+    sanitizeAlertSettingsInput,
+    alertLevelFor,
+    evaluateAttendanceAlerts
+};
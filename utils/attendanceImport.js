@@ -0,0 +1,236 @@
+const { STATUS_FIELDS } = require('./attendanceRules');
+
+// Turns a register sheet into per-date periods ready for /api/attendance/mark-style storage.
+//
+// Two layouts are understood, both with one row per date + period:
+//   List layout   → Date | Period | Subject | Absent | [Late | Medical Leave | On Duty | Excused]
+//                   where each status cell holds roll numbers separated by commas or spaces.
+//   Matrix layout → Date | Period | Subject | <roll> | <roll> | ...
+//                   where each roll cell holds a code: P/1/blank, A/AB/0, L, ML, OD, E.
+
+const sanitizeRollNumber = (value) => {
+    if (value === undefined || value === null) return null;
+    const cleaned = String(value).trim();
+    return cleaned || null;
+};
+
+const normalizeHeader = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const HEADER_ALIASES = {
+    date: ['date', 'day'],
+    period: ['period', 'periodno', 'periodnum', 'periodnumber', 'hour', 'pd'],
+    subject: ['subject', 'subjectname', 'subjectcode', 'course']
+};
+
+const STATUS_HEADER_ALIASES = {
+    absent: ['absent', 'absentees', 'absentrollnumbers', 'absentrolls'],
+    late: ['late', 'latecomers', 'laterollnumbers'],
+    medicalLeave: ['medicalleave', 'medical', 'ml'],
+    onDuty: ['onduty', 'od'],
+    excused: ['excused', 'leave']
+};
+
+const CELL_CODES = {
+    '': 'present',
+    p: 'present',
+    present: 'present',
+    1: 'present',
+    a: 'absent',
+    ab: 'absent',
+    absent: 'absent',
+    0: 'absent',
+    l: 'late',
+    late: 'late',
+    ml: 'medicalLeave',
+    medical: 'medicalLeave',
+    medicalleave: 'medicalLeave',
+    od: 'onDuty',
+    onduty: 'onDuty',
+    e: 'excused',
+    ex: 'excused',
+    excused: 'excused'
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toIsoDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Parse a register date cell. Accepts real dates (XLSX), YYYY-MM-DD, and day-first
+ * DD/MM/YYYY, DD-MM-YYYY or DD.MM.YYYY (two-digit years are read as 20YY).
+ * @returns {string|null} YYYY-MM-DD
+ */
+const parseRegisterDate = (value) => {
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : value.toISOString().split('T')[0];
+    }
+
+    const text = String(value ?? '').trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) return toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+    if (match) {
+        const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+        return toIsoDate(year, Number(match[2]), Number(match[1]));
+    }
+
+    return null;
+};
+
+const findColumn = (headers, aliases) => headers.findIndex((header) => aliases.includes(header));
+
+const isBlankRow = (row) => !row || row.every((cell) => String(cell ?? '').trim() === '');
+
+const matchSubject = (subjects, value) => {
+    const needle = String(value ?? '').trim().toLowerCase();
+    if (!needle) return null;
+    return subjects.find((subject) =>
+        String(subject.name || '').trim().toLowerCase() === needle
+        || String(subject.code || '').trim().toLowerCase() === needle
+    ) || null;
+};
+
+/**
+ * Parse register rows against a classroom's subjects and roster.
+ * @param {Array<Array>} rows - Output of readSheetRows()
+ * @param {object} classroom - { subjects, rollNumbers }
+ * @param {Array<string>} rollNumbers - Valid roll numbers of the class
+ * @returns {{ layout?: string, days: object, errors: Array<{ row: number, date?: string, error: string }> }}
+ *          An error's date is set once the row's date was read, so callers can tell which days are incomplete.
+ */
+const parseRegister = (rows, classroom, rollNumbers) => {
+    const errors = [];
+    const days = {};
+    const validRolls = new Set(rollNumbers);
+
+    const headerIndex = (rows || []).findIndex((row) =>
+        Array.isArray(row) && row.some((cell) => HEADER_ALIASES.date.includes(normalizeHeader(cell)))
+    );
+    if (headerIndex === -1) {
+        errors.push({ row: 0, error: 'No header row with a "Date" column was found' });
+        return { days, errors };
+    }
+
+    const rawHeaders = rows[headerIndex];
+    const headers = rawHeaders.map(normalizeHeader);
+    const columns = {
+        date: findColumn(headers, HEADER_ALIASES.date),
+        period: findColumn(headers, HEADER_ALIASES.period),
+        subject: findColumn(headers, HEADER_ALIASES.subject)
+    };
+
+    if (columns.period === -1 || columns.subject === -1) {
+        errors.push({ row: headerIndex + 1, error: 'The header row needs "Date", "Period" and "Subject" columns' });
+        return { days, errors };
+    }
+
+    const statusColumns = {};
+    Object.entries(STATUS_HEADER_ALIASES).forEach(([status, aliases]) => {
+        const index = findColumn(headers, aliases);
+        if (index !== -1) statusColumns[status] = index;
+    });
+
+    const layout = Object.keys(statusColumns).length > 0 ? 'list' : 'matrix';
+    const fixedColumns = new Set(Object.values(columns));
+
+    // Matrix layout: every other non-empty header is a roll number
+    const rollColumns = [];
+    if (layout === 'matrix') {
+        rawHeaders.forEach((header, index) => {
+            if (fixedColumns.has(index)) return;
+            const roll = sanitizeRollNumber(header instanceof Date ? null : header);
+            if (!roll) return;
+            if (!validRolls.has(roll)) {
+                errors.push({ row: headerIndex + 1, error: `Roll number "${roll}" is not in this class` });
+                return;
+            }
+            rollColumns.push({ index, roll });
+        });
+    }
+
+    const seen = new Set();
+
+    rows.slice(headerIndex + 1).forEach((row, offset) => {
+        const rowNumber = headerIndex + offset + 2; // 1-based, as shown in a spreadsheet app
+        if (isBlankRow(row)) return;
+
+        const date = parseRegisterDate(row[columns.date]);
+        if (!date) {
+            errors.push({ row: rowNumber, error: `Unrecognised date "${row[columns.date] ?? ''}"` });
+            return;
+        }
+
+        const periodNum = Number(String(row[columns.period] ?? '').trim());
+        if (!Number.isInteger(periodNum) || periodNum < 1) {
+            errors.push({ row: rowNumber, date, error: `Invalid period "${row[columns.period] ?? ''}"` });
+            return;
+        }
+
+        const subject = matchSubject(classroom.subjects || [], row[columns.subject]);
+        if (!subject) {
+            errors.push({ row: rowNumber, date, error: `Subject "${row[columns.subject] ?? ''}" does not match any subject of this class` });
+            return;
+        }
+
+        const key = `${date}#${periodNum}`;
+        if (seen.has(key)) {
+            errors.push({ row: rowNumber, date, error: `Period ${periodNum} on ${date} appears more than once` });
+            return;
+        }
+        seen.add(key);
+
+        const period = {
+            periodNum,
+            subjectId: subject._id.toString(),
+            subjectName: subject.name
+        };
+        Object.values(STATUS_FIELDS).forEach((field) => {
+            period[field] = [];
+        });
+
+        let rowValid = true;
+
+        if (layout === 'list') {
+            Object.entries(statusColumns).forEach(([status, index]) => {
+                const rolls = String(row[index] ?? '').split(/[\s,;]+/).map(sanitizeRollNumber).filter(Boolean);
+                rolls.forEach((roll) => {
+                    if (!validRolls.has(roll)) {
+                        errors.push({ row: rowNumber, date, error: `Roll number "${roll}" is not in this class` });
+                        rowValid = false;
+                        return;
+                    }
+                    period[STATUS_FIELDS[status]].push(roll);
+                });
+            });
+        } else {
+            rollColumns.forEach(({ index, roll }) => {
+                const code = normalizeHeader(row[index]);
+                const status = CELL_CODES[code];
+                if (!status) {
+                    errors.push({ row: rowNumber, date, error: `Unknown mark "${row[index]}" for roll number ${roll}` });
+                    rowValid = false;
+                    return;
+                }
+                if (status !== 'present') period[STATUS_FIELDS[status]].push(roll);
+            });
+        }
+
+        if (!rowValid) return;
+
+        if (!days[date]) days[date] = [];
+        days[date].push(period);
+    });
+
+    Object.values(days).forEach((periods) => periods.sort((a, b) => a.periodNum - b.periodNum));
+
+    return { layout, days, errors };
+};
+
+module.exports = { parseRegister, parseRegisterDate };
@@ -0,0 +1,92 @@
+const AttendanceUnlock = require('../models/AttendanceUnlock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Attendance dates are UTC midnight, so "today" is too
+const startOfUtcDay = (date) => {
+    const value = new Date(date);
+    return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+};
+
+/**
+ * First date that is still editable; every day before it is locked.
+ * @param {object} classroom - Reads attendanceLock { lockedBefore, autoLockAfterDays }
+ * @returns {Date|null} null when the class has no locking configured
+ */
+const getLockCutoff = (classroom, now = new Date()) => {
+    const { lockedBefore, autoLockAfterDays } = classroom?.attendanceLock || {};
+    const cutoffs = [];
+
+    if (lockedBefore) cutoffs.push(startOfUtcDay(lockedBefore).getTime());
+    if (Number.isInteger(autoLockAfterDays) && autoLockAfterDays > 0) {
+        cutoffs.push(startOfUtcDay(now).getTime() - autoLockAfterDays * DAY_MS);
+    }
+
+    return cutoffs.length > 0 ? new Date(Math.max(...cutoffs)) : null;
+};
+
+// Days before the running term started belong to an archived term and are read-only for good
+const isDateArchived = (classroom, date) => {
+    const termStart = classroom?.currentTerm?.startDate;
+    return !!termStart && new Date(date).getTime() < startOfUtcDay(termStart).getTime();
+};
+
+const isDateLocked = (classroom, date, now = new Date()) => {
+    const cutoff = getLockCutoff(classroom, now);
+    return !!cutoff && new Date(date).getTime() < cutoff.getTime();
+};
+
+/**
+ * Can attendance for a date be written right now?
+ * @returns {Promise<{ locked: boolean, archived: boolean, unlock: object|null }>}
+ *          locked is false when an unexpired unlock exists; archived days can never be unlocked
+ */
+const checkDayWritable = async (classroom, date, now = new Date()) => {
+    if (isDateArchived(classroom, date)) return { locked: true, archived: true, unlock: null };
+    if (!isDateLocked(classroom, date, now)) return { locked: false, archived: false, unlock: null };
+
+    const unlock = await AttendanceUnlock.findOne({
+        classId: classroom._id,
+        scope: 'day',
+        date,
+        expiresAt: { $gt: now }
+    }).sort({ expiresAt: -1 }).lean();
+
+    return { locked: !unlock, archived: false, unlock: unlock || null };
+};
+
+/**
+ * Lock state as shown to students and admins.
+ * @returns {{ finalizedThrough: Date|null, lockedBefore: Date|null, autoLockAfterDays: number|null }}
+ */
+const describeLock = (classroom, now = new Date()) => {
+    const cutoff = getLockCutoff(classroom, now);
+    return {
+        finalizedThrough: cutoff ? new Date(cutoff.getTime() - DAY_MS) : null,
+        lockedBefore: classroom?.attendanceLock?.lockedBefore || null,
+        autoLockAfterDays: classroom?.attendanceLock?.autoLockAfterDays || null
+    };
+};
+
+/**
+ * Does a new lock setting unlock days that are locked under the current one?
+ */
+const relaxesLock = (current, next) => {
+    const currentBefore = current?.lockedBefore ? new Date(current.lockedBefore).getTime() : null;
+    const nextBefore = next.lockedBefore ? new Date(next.lockedBefore).getTime() : null;
+    if (currentBefore !== null && (nextBefore === null || nextBefore < currentBefore)) return true;
+
+    const currentDays = current?.autoLockAfterDays || null;
+    const nextDays = next.autoLockAfterDays || null;
+    return currentDays !== null && (nextDays === null || nextDays > currentDays);
+};
+
+module.exports = {
+    startOfUtcDay,
+    getLockCutoff,
+    isDateArchived,
+    isDateLocked,
+    checkDayWritable,
+    describeLock,
+    relaxesLock
+};
@@ -0,0 +1,92 @@
+const { STATUS_FIELDS, STATUS_LABELS, getRollStatus } = require('./attendanceRules');
+const { diffPeriods } = require('./attendanceRevisions');
+const { sendPushToRoll } = require('./pushService');
+
+// Every roll listed under any non-present status of a period
+const rollsNotPresent = (period) => {
+    const rolls = new Set();
+    Object.values(STATUS_FIELDS).forEach((field) => {
+        (period?.[field] || []).forEach((roll) => {
+            const cleaned = String(roll ?? '').trim();
+            if (cleaned) rolls.add(cleaned);
+        });
+    });
+    return rolls;
+};
+
+/**
+ * Roll numbers whose own status changed between two versions of a day.
+ * Moving a period to another subject counts for every roll that is not present in it.
+ * @returns {Set<string>}
+ */
+const findChangedRolls = (before, after) => {
+    const changed = new Set();
+    diffPeriods(before, after).forEach((entry) => {
+        entry.rolls.forEach(({ rollNumber }) => changed.add(rollNumber));
+
+        if (entry.change === 'modified' && entry.previousSubjectId !== undefined) {
+            const period = (after || []).find((candidate) => candidate.periodNum === entry.periodNum);
+            rollsNotPresent(period).forEach((roll) => changed.add(roll));
+        }
+    });
+    return changed;
+};
+
+/**
+ * The personal push for one roll: absent periods first, other non-present statuses after.
+ * @returns {{ title: string, body: string }}
+ */
+const buildPersonalMessage = (rollNumber, periods, dateLabel) => {
+    const entries = [...(periods || [])]
+        .sort((a, b) => (a.periodNum ?? 0) - (b.periodNum ?? 0))
+        .map((period) => ({ period, status: getRollStatus(period, rollNumber) }))
+        .filter(({ status }) => status !== 'present');
+
+    const describe = ({ period }) => `P${period.periodNum ?? '?'} ${period.subjectName || ''}`.trim();
+    const absent = entries.filter(({ status }) => status === 'absent');
+    const others = entries.filter(({ status }) => status !== 'absent');
+
+    if (absent.length > 0) {
+        const extra = others.map((entry) => `${describe(entry)} (${STATUS_LABELS[entry.status]})`);
+        return {
+            title: `❌ Marked absent — ${dateLabel}`,
+            body: [absent.map(describe).join(', '), ...extra].join(' · ') + '. Tap to raise a report if this is wrong.'
+        };
+    }
+
+    if (others.length > 0) {
+        return {
+            title: `📋 Your attendance — ${dateLabel}`,
+            body: others.map((entry) => `${describe(entry)}: ${STATUS_LABELS[entry.status]}`).join(' · ')
+        };
+    }
+
+    return {
+        title: `✅ Attendance corrected — ${dateLabel}`,
+        body: 'You are now marked present for every period of this day.'
+    };
+};
+
+/**
+ * Push each student whose status changed a summary of their own day.
+ * @param {object} options - { classId, date: Date, before: Array, after: Array, excludeRollNumbers?: Array<string> }
+ * @returns {Array<string>} Roll numbers that were messaged (so a class-wide push can skip them)
+ */
+const notifyChangedRolls = ({ classId, date, before, after, excludeRollNumbers = [] }) => {
+    const excluded = new Set(excludeRollNumbers.map((roll) => String(roll).trim()));
+    const rolls = [...findChangedRolls(before, after)].filter((roll) => !excluded.has(roll));
+    if (rolls.length === 0) return [];
+
+    const isoDay = new Date(date).toISOString().split('T')[0];
+    const dateLabel = new Date(`${isoDay}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+    rolls.forEach((roll) => {
+        const { title, body } = buildPersonalMessage(roll, after, dateLabel);
+        sendPushToRoll(classId, roll, { title, body, url: `/?date=${isoDay}` })
+            .catch(() => { });
+    });
+
+    return rolls;
+};
+
+module.exports = { findChangedRolls, buildPersonalMessage, notifyChangedRolls };
@@ -0,0 +1,65 @@
+const { getScheduledPeriods } = require('./timetable');
+const { eventsOnDate } = require('./academicCalendar');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Attended counts can be fractional (late = 0.5), so round away float noise before floor/ceil
+const EPSILON = 1e-9;
+
+const roundPercentage = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Scheduled periods per subject on days in [from, until], skipping days a calendar event blocks.
+ * @param {Array} events - Calendar events overlapping the range
+ * @returns {Object<string, number>} subjectId → number of periods still to be held
+ */
+const countScheduledClasses = (classroom, from, until, events = []) => {
+    const remaining = {};
+    for (let time = from.getTime(); time <= until.getTime(); time += DAY_MS) {
+        const date = new Date(time);
+        if (eventsOnDate(events, date).some((event) => event.blocksAttendance)) continue;
+
+        getScheduledPeriods(classroom, date).periods.forEach((period) => {
+            remaining[period.subjectId] = (remaining[period.subjectId] || 0) + 1;
+        });
+    }
+    return remaining;
+};
+
+/**
+ * What a student can still do in one subject relative to a threshold.
+ * Assumes every remaining class is counted and attended classes earn full credit.
+ * @param {{ attended: number, total: number, remaining: number|null, threshold: number }} input - threshold in percent
+ * @returns {{ safeToSkip, mustAttendInARow, reachable, projectedFinalPercentage }}
+ */
+const projectSubject = ({ attended, total, remaining, threshold }) => {
+    const ratio = threshold / 100;
+    const currentlyAbove = total === 0 || attended / total >= ratio - EPSILON;
+
+    // Consecutive attended classes needed to get back to the threshold
+    let mustAttendInARow = 0;
+    if (!currentlyAbove) {
+        mustAttendInARow = ratio >= 1 ? null : Math.ceil((ratio * total - attended) / (1 - ratio) - EPSILON);
+    }
+
+    let safeToSkip;
+    let projectedFinalPercentage = null;
+    if (remaining === null) {
+        // Unknown term length: classes that can be missed right now before dropping below
+        safeToSkip = ratio > 0 ? Math.max(0, Math.floor(attended / ratio - total + EPSILON)) : null;
+    } else {
+        // Classes that can be missed out of those left while still finishing above the threshold
+        const finalTotal = total + remaining;
+        safeToSkip = Math.min(remaining, Math.max(0, Math.floor(attended + remaining - ratio * finalTotal + EPSILON)));
+        projectedFinalPercentage = finalTotal > 0 ? roundPercentage(((attended + remaining) / finalTotal) * 100) : 0;
+    }
+
+    return {
+        safeToSkip,
+        mustAttendInARow,
+        reachable: mustAttendInARow !== null && (remaining === null || mustAttendInARow <= remaining),
+        projectedFinalPercentage
+    };
+};
+
+module.exports = { countScheduledClasses, projectSubject };
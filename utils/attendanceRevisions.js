@@ -0,0 +1,193 @@
+const AttendanceRevision = require('../models/AttendanceRevision');
+const { STATUS_FIELDS, getRollStatus } = require('./attendanceRules');
+
+const sanitizeRollNumber = (value) => {
+    if (value === undefined || value === null) return null;
+    const cleaned = String(value).trim();
+    return cleaned || null;
+};
+
+// Periods are matched across versions by periodNum; entries without one fall back to their position
+const periodKey = (period, index) => (
+    period?.periodNum !== undefined && period?.periodNum !== null ? `p${period.periodNum}` : `i${index}`
+);
+
+const indexPeriods = (periods) => {
+    const map = new Map();
+    (Array.isArray(periods) ? periods : []).forEach((period, index) => {
+        map.set(periodKey(period, index), period);
+    });
+    return map;
+};
+
+// Every roll number that holds a non-present status in the period
+const rollsWithStatus = (period) => {
+    const rolls = new Set();
+    Object.values(STATUS_FIELDS).forEach((field) => {
+        (period?.[field] || []).forEach((roll) => {
+            const cleaned = sanitizeRollNumber(roll);
+            if (cleaned) rolls.add(cleaned);
+        });
+    });
+    return rolls;
+};
+
+/**
+ * Compare two versions of a day's periods.
+ * @param {Array} before - Periods previously stored (empty if the day did not exist)
+ * @param {Array} after - Periods now stored (empty if the day was deleted)
+ * @returns {Array} One entry per added / removed / modified period with per-roll status changes
+ */
+const diffPeriods = (before, after) => {
+    const beforeMap = indexPeriods(before);
+    const afterMap = indexPeriods(after);
+    const keys = new Set([...beforeMap.keys(), ...afterMap.keys()]);
+    const diff = [];
+
+    keys.forEach((key) => {
+        const prev = beforeMap.get(key);
+        const next = afterMap.get(key);
+        const reference = next || prev;
+
+        const entry = {
+            periodNum: reference.periodNum,
+            subjectId: reference.subjectId,
+            subjectName: reference.subjectName,
+            rolls: []
+        };
+
+        if (!prev) {
+            entry.change = 'added';
+            rollsWithStatus(next).forEach((roll) => {
+                entry.rolls.push({ rollNumber: roll, from: null, to: getRollStatus(next, roll) });
+            });
+            diff.push(entry);
+            return;
+        }
+
+        if (!next) {
+            entry.change = 'removed';
+            rollsWithStatus(prev).forEach((roll) => {
+                entry.rolls.push({ rollNumber: roll, from: getRollStatus(prev, roll), to: null });
+            });
+            diff.push(entry);
+            return;
+        }
+
+        const rolls = new Set([...rollsWithStatus(prev), ...rollsWithStatus(next)]);
+        rolls.forEach((roll) => {
+            const from = getRollStatus(prev, roll);
+            const to = getRollStatus(next, roll);
+            if (from !== to) entry.rolls.push({ rollNumber: roll, from, to });
+        });
+
+        const subjectChanged = String(prev.subjectId) !== String(next.subjectId);
+        if (subjectChanged) {
+            entry.previousSubjectId = prev.subjectId;
+            entry.previousSubjectName = prev.subjectName;
+        }
+
+        if (subjectChanged || entry.rolls.length > 0) {
+            entry.change = 'modified';
+            diff.push(entry);
+        }
+    });
+
+    return diff.sort((a, b) => (a.periodNum ?? 0) - (b.periodNum ?? 0));
+};
+
+const sortedStatusList = (period, field) => (period?.[field] || [])
+    .map((roll) => sanitizeRollNumber(roll))
+    .filter(Boolean)
+    .sort();
+
+const periodsEqual = (a, b) => {
+    if (!a || !b) return !a && !b;
+    if (String(a.subjectId) !== String(b.subjectId)) return false;
+    return Object.values(STATUS_FIELDS).every((field) => {
+        const left = sortedStatusList(a, field);
+        const right = sortedStatusList(b, field);
+        return left.length === right.length && left.every((roll, index) => roll === right[index]);
+    });
+};
+
+/**
+ * Three-way merge of a day's periods at period granularity.
+ * A period changed only by the client takes the client's version; a period changed only on the
+ * server keeps the server's version. Periods changed differently on both sides are conflicts.
+ * @param {Array} base - Periods the client started editing from
+ * @param {Array} current - Periods currently stored
+ * @param {Array} incoming - Periods the client wants to save
+ * @returns {{ periods: Array, conflicts: Array<number> }}
+ */
+const mergePeriodChanges = (base, current, incoming) => {
+    const baseMap = indexPeriods(base);
+    const currentMap = indexPeriods(current);
+    const incomingMap = indexPeriods(incoming);
+    const keys = new Set([...baseMap.keys(), ...currentMap.keys(), ...incomingMap.keys()]);
+
+    const merged = new Map(currentMap);
+    const conflicts = [];
+
+    keys.forEach((key) => {
+        const basePeriod = baseMap.get(key);
+        const currentPeriod = currentMap.get(key);
+        const incomingPeriod = incomingMap.get(key);
+
+        if (periodsEqual(basePeriod, incomingPeriod)) return; // client left it alone
+
+        const serverChanged = !periodsEqual(basePeriod, currentPeriod);
+        if (serverChanged && !periodsEqual(currentPeriod, incomingPeriod)) {
+            conflicts.push((incomingPeriod || currentPeriod || basePeriod).periodNum);
+            return;
+        }
+
+        if (incomingPeriod) merged.set(key, incomingPeriod);
+        else merged.delete(key);
+    });
+
+    const periods = [...merged.values()].sort((a, b) => (a.periodNum ?? 0) - (b.periodNum ?? 0));
+    return { periods, conflicts };
+};
+
+/**
+ * Who made a change, as stored on the revision.
+ * Named admins are recorded with their role and name; the shared class PIN stays role "admin".
+ * @param {object} user - Decoded token (req.user) after requirePermission()
+ */
+const describeActor = (user) => {
+    if (user?.adminId) {
+        return { role: user.adminRole || 'admin', adminId: user.adminId, name: user.adminName || null };
+    }
+    return { role: user?.role || 'admin' };
+};
+
+/**
+ * Persist a revision for a change to one attendance day.
+ * @returns {Promise<object|null>} The saved revision, or null when nothing existed before or after
+ */
+const recordRevision = async ({ classId, date, version, before, after, user, note, restoredFrom }) => {
+    const beforePeriods = Array.isArray(before) ? before : [];
+    const afterPeriods = Array.isArray(after) ? after : [];
+
+    if (beforePeriods.length === 0 && afterPeriods.length === 0) return null;
+
+    let action = 'update';
+    if (restoredFrom) action = 'restore';
+    else if (beforePeriods.length === 0) action = 'create';
+    else if (afterPeriods.length === 0) action = 'delete';
+
+    return AttendanceRevision.create({
+        classId,
+        date,
+        action,
+        version: version || 0,
+        periods: afterPeriods,
+        diff: diffPeriods(beforePeriods, afterPeriods),
+        changedBy: describeActor(user),
+        note: note ? String(note).trim().slice(0, 500) : undefined,
+        restoredFrom: restoredFrom || null
+    });
+};
+
+module.exports = { diffPeriods, mergePeriodChanges, describeActor, recordRevision };
@@ -0,0 +1,200 @@
+// Per-period attendance statuses and the rules used to count them.
+// Every roll number NOT listed in one of the status arrays of a period is "present".
+
+// Maps each non-present status to the array that stores it on Attendance.periods[]
+const STATUS_FIELDS = {
+    absent: 'absentRollNumbers',
+    medicalLeave: 'medicalLeaveRollNumbers',
+    onDuty: 'onDutyRollNumbers',
+    excused: 'excusedRollNumbers',
+    late: 'lateRollNumbers'
+};
+
+// A roll number can hold only one status per period. When it shows up in several
+// lists, the first status in this order wins.
+const STATUS_PRECEDENCE = ['absent', 'medicalLeave', 'onDuty', 'excused', 'late'];
+
+const ALL_STATUSES = ['present', ...STATUS_PRECEDENCE];
+
+const STATUS_LABELS = {
+    present: 'Present',
+    absent: 'Absent',
+    late: 'Late',
+    medicalLeave: 'Medical Leave',
+    onDuty: 'On Duty',
+    excused: 'Excused'
+};
+
+// Short codes used in register spreadsheets (the import understands the same codes)
+const STATUS_CODES = {
+    present: 'P',
+    absent: 'A',
+    late: 'L',
+    medicalLeave: 'ML',
+    onDuty: 'OD',
+    excused: 'E'
+};
+
+// credit  → how much of a class the status is worth (0 to 1)
+// counted → whether the period counts towards the total at all
+// Present (1, counted) and absent (0, counted) are fixed; the rest can be configured per class.
+const FIXED_RULES = {
+    present: { credit: 1, counted: true },
+    absent: { credit: 0, counted: true }
+};
+
+const DEFAULT_RULES = {
+    late: { credit: 0.5, counted: true },
+    medicalLeave: { credit: 0, counted: true },
+    onDuty: { credit: 1, counted: true },
+    excused: { credit: 0, counted: false }
+};
+
+const CONFIGURABLE_STATUSES = Object.keys(DEFAULT_RULES);
+
+const sanitizeRollNumber = (value) => {
+    if (value === undefined || value === null) return null;
+    const cleaned = String(value).trim();
+    return cleaned || null;
+};
+
+/**
+ * Merge a classroom's stored rules over the defaults.
+ * @param {object} classroom - Classroom document (only attendanceRules is read)
+ * @returns {object} Full rule set keyed by status
+ */
+const resolveRules = (classroom) => {
+    const stored = classroom?.attendanceRules || {};
+    const rules = { ...FIXED_RULES };
+
+    CONFIGURABLE_STATUSES.forEach((status) => {
+        const rule = stored[status] || {};
+        rules[status] = {
+            credit: Number.isFinite(rule.credit) ? rule.credit : DEFAULT_RULES[status].credit,
+            counted: typeof rule.counted === 'boolean' ? rule.counted : DEFAULT_RULES[status].counted
+        };
+    });
+
+    return rules;
+};
+
+/**
+ * Validate a partial rule update sent by an admin.
+ * @returns {{ rules?: object, error?: string }}
+ */
+const sanitizeRulesInput = (input) => {
+    if (!input || typeof input !== 'object') {
+        return { error: 'rules must be an object' };
+    }
+
+    const rules = {};
+    for (const [status, rule] of Object.entries(input)) {
+        if (!CONFIGURABLE_STATUSES.includes(status)) {
+            return { error: `Unknown or fixed status: ${status}` };
+        }
+        if (!rule || typeof rule !== 'object') {
+            return { error: `Rule for ${status} must be an object` };
+        }
+
+        const next = {};
+        if (rule.credit !== undefined) {
+            const credit = Number(rule.credit);
+            if (!Number.isFinite(credit) || credit < 0 || credit > 1) {
+                return { error: `${status}.credit must be a number between 0 and 1` };
+            }
+            next.credit = credit;
+        }
+        if (rule.counted !== undefined) {
+            if (typeof rule.counted !== 'boolean') {
+                return { error: `${status}.counted must be true or false` };
+            }
+            next.counted = rule.counted;
+        }
+        rules[status] = next;
+    }
+
+    return { rules };
+};
+
+const emptyCounts = () => ALL_STATUSES.reduce((acc, status) => {
+    acc[status] = 0;
+    return acc;
+}, {});
+
+/**
+ * Turn per-status period counts into attended/total/percentage using the class rules.
+ * @param {object} counts - { present, absent, late, medicalLeave, onDuty, excused }
+ * @param {object} rules - Output of resolveRules()
+ */
+const computeTotals = (counts, rules) => {
+    let attended = 0;
+    let total = 0;
+
+    ALL_STATUSES.forEach((status) => {
+        const count = counts?.[status] || 0;
+        const rule = rules[status];
+        if (!count || !rule?.counted) return;
+        total += count;
+        attended += count * rule.credit;
+    });
+
+    attended = parseFloat(attended.toFixed(2));
+    const percentage = total === 0 ? 0 : parseFloat(((attended / total) * 100).toFixed(1));
+
+    return { attended, total, percentage };
+};
+
+const listContainsRoll = (list, rollNumber) => {
+    if (!Array.isArray(list)) return false;
+    return list.some((roll) => sanitizeRollNumber(roll) === rollNumber);
+};
+
+/**
+ * Status of one roll number in one stored period.
+ * @returns {string} One of ALL_STATUSES
+ */
+const getRollStatus = (period, rollNumber) => {
+    const status = STATUS_PRECEDENCE.find((key) => listContainsRoll(period?.[STATUS_FIELDS[key]], rollNumber));
+    return status || 'present';
+};
+
+/**
+ * Aggregation expression resolving a roll number's status for an unwound period.
+ * Old documents may miss the newer arrays, and legacy records stored numeric roll numbers.
+ * @param {string} rollNumber - Sanitized roll number
+ * @param {string} [periodPath] - Path of the unwound period, e.g. "$periods"
+ */
+const buildStatusSwitch = (rollNumber, periodPath = '$periods') => {
+    const candidates = [rollNumber];
+    if (/^\d+$/.test(rollNumber)) candidates.push(Number(rollNumber));
+
+    return {
+        $switch: {
+            branches: STATUS_PRECEDENCE.map((status) => ({
+                case: {
+                    $or: candidates.map((candidate) => ({
+                        $in: [candidate, { $ifNull: [`${periodPath}.${STATUS_FIELDS[status]}`, []] }]
+                    }))
+                },
+                then: status
+            })),
+            default: 'present'
+        }
+    };
+};
+
+module.exports = {
+    STATUS_FIELDS,
+    STATUS_PRECEDENCE,
+    ALL_STATUSES,
+    STATUS_LABELS,
+    STATUS_CODES,
+    DEFAULT_RULES,
+    CONFIGURABLE_STATUSES,
+    resolveRules,
+    sanitizeRulesInput,
+    emptyCounts,
+    computeTotals,
+    getRollStatus,
+    buildStatusSwitch
+};
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const { STATUS_FIELDS, STATUS_PRECEDENCE, emptyCounts, computeTotals } = require('./attendanceRules');
+
+/**
+ * Build the Attendance $match stage for a class, optional date range and subjects.
+ * @param {object} options - { classId, from?: Date, to?: Date, termId?: archived term (running term when omitted) }
+ */
+const buildAttendanceMatch = ({ classId, from, to, termId = null }) => {
+    const match = {
+        classId: new mongoose.Types.ObjectId(String(classId)),
+        termId: termId ? new mongoose.Types.ObjectId(String(termId)) : null
+    };
+    if (from || to) {
+        match.date = {};
+        if (from) match.date.$gte = from;
+        if (to) match.date.$lte = to;
+    }
+    return match;
+};
+
+/**
+ * Per-subject, per-roll status counts for a whole class in one aggregation.
+ * Present counts are derived afterwards: periods of the subject minus the roll's other statuses.
+ * With byDate, rows are additionally split per attendance day (for day-by-day series).
+ * @param {object} options - { classId, from?, to?, termId?, subjectIds?: Array<string>, byDate?: boolean }
+ * @returns {Promise<{ periodsBySubject: object, periodsByDate: object, statusRows: Array }>}
+ */
+const aggregateClassTallies = async ({ classId, from, to, termId, subjectIds, byDate = false }) => {
+    const dateKey = byDate ? { date: '$date' } : {};
+
+    const pipeline = [
+        { $match: buildAttendanceMatch({ classId, from, to, termId }) },
+        { $unwind: { path: '$periods', includeArrayIndex: 'periodIndex' } }
+    ];
+
+    if (Array.isArray(subjectIds) && subjectIds.length > 0) {
+        pipeline.push({ $match: { 'periods.subjectId': { $in: subjectIds.map(String) } } });
+    }
+
+    pipeline.push({
+        $facet: {
+            totals: [
+                { $group: { _id: { subjectId: '$periods.subjectId', ...dateKey }, periods: { $sum: 1 } } }
+            ],
+            statuses: [
+                {
+                    $project: {
+                        subjectId: '$periods.subjectId',
+                        periodIndex: 1,
+                        date: 1,
+                        // Listed in precedence order so $first below keeps the winning status
+                        entries: {
+                            $concatArrays: STATUS_PRECEDENCE.map((status) => ({
+                                $map: {
+                                    input: { $ifNull: [`$periods.${STATUS_FIELDS[status]}`, []] },
+                                    as: 'roll',
+                                    in: { roll: { $trim: { input: { $toString: '$$roll' } } }, status }
+                                }
+                            }))
+                        }
+                    }
+                },
+                { $unwind: '$entries' },
+                {
+                    $group: {
+                        _id: { record: '$_id', periodIndex: '$periodIndex', roll: '$entries.roll' },
+                        subjectId: { $first: '$subjectId' },
+                        date: { $first: '$date' },
+                        status: { $first: '$entries.status' }
+                    }
+                },
+                {
+                    $group: {
+                        _id: { subjectId: '$subjectId', roll: '$_id.roll', status: '$status', ...dateKey },
+                        count: { $sum: 1 }
+                    }
+                }
+            ]
+        }
+    });
+
+    const [result] = await Attendance.aggregate(pipeline);
+
+    const periodsBySubject = {};
+    const periodsByDate = {};
+    (result?.totals || []).forEach((row) => {
+        const subjectId = String(row._id.subjectId);
+        periodsBySubject[subjectId] = (periodsBySubject[subjectId] || 0) + row.periods;
+        if (row._id.date) {
+            const day = row._id.date.toISOString().split('T')[0];
+            periodsByDate[day] = (periodsByDate[day] || 0) + row.periods;
+        }
+    });
+
+    return { periodsBySubject, periodsByDate, statusRows: result?.statuses || [] };
+};
+
+/**
+ * Expand aggregated tallies into full status counts for every roll × subject.
+ * @param {object} tallies - Output of aggregateClassTallies()
+ * @param {Array<string>} rollNumbers - Class roster
+ * @param {Array<string>} subjectIds - Subjects to include
+ * @returns {object} counts[roll][subjectId] = { present, absent, late, ... }
+ */
+const expandTallies = (tallies, rollNumbers, subjectIds) => {
+    const counts = {};
+    rollNumbers.forEach((roll) => {
+        counts[roll] = {};
+        subjectIds.forEach((subjectId) => {
+            counts[roll][subjectId] = emptyCounts();
+        });
+    });
+
+    tallies.statusRows.forEach(({ _id, count }) => {
+        const subjectCounts = counts[_id.roll]?.[String(_id.subjectId)];
+        if (subjectCounts) subjectCounts[_id.status] += count;
+    });
+
+    rollNumbers.forEach((roll) => {
+        subjectIds.forEach((subjectId) => {
+            const subjectCounts = counts[roll][subjectId];
+            const marked = Object.entries(subjectCounts)
+                .filter(([status]) => status !== 'present')
+                .reduce((sum, [, value]) => sum + value, 0);
+            subjectCounts.present = Math.max(0, (tallies.periodsBySubject[subjectId] || 0) - marked);
+        });
+    });
+
+    return counts;
+};
+
+/**
+ * Class-wide attendance rate per day from tallies aggregated with byDate.
+ * Only rolls on the current roster count; everyone not marked otherwise was present.
+ * @returns {Array<{ date, periods, attended, total, percentage, breakdown }>} Oldest day first
+ */
+const buildDailySeries = (tallies, rollNumbers, rules) => {
+    const roster = new Set(rollNumbers);
+    const countsByDate = {};
+    Object.keys(tallies.periodsByDate).forEach((day) => {
+        countsByDate[day] = emptyCounts();
+    });
+
+    tallies.statusRows.forEach(({ _id, count }) => {
+        if (!_id.date || !roster.has(_id.roll)) return;
+        const counts = countsByDate[_id.date.toISOString().split('T')[0]];
+        if (counts) counts[_id.status] += count;
+    });
+
+    return Object.keys(countsByDate).sort().map((day) => {
+        const counts = countsByDate[day];
+        const periods = tallies.periodsByDate[day];
+        const marked = Object.entries(counts)
+            .filter(([status]) => status !== 'present')
+            .reduce((sum, [, value]) => sum + value, 0);
+        counts.present = Math.max(0, periods * roster.size - marked);
+
+        return { date: day, periods, ...computeTotals(counts, rules), breakdown: counts };
+    });
+};
+
+// Sum status counts across several subjects (e.g. for an overall figure)
+const sumCounts = (countsList) => countsList.reduce((acc, counts) => {
+    Object.keys(acc).forEach((status) => {
+        acc[status] += counts?.[status] || 0;
+    });
+    return acc;
+}, emptyCounts());
+
+/**
+ * attended / total / percentage per subject plus an overall figure for one roll.
+ * @returns {{ subjects: object, overall: object }}
+ */
+const summarizeRoll = (rollCounts, subjectIds, rules) => {
+    const subjects = {};
+    subjectIds.forEach((subjectId) => {
+        subjects[subjectId] = computeTotals(rollCounts[subjectId], rules);
+    });
+    const overall = computeTotals(sumCounts(subjectIds.map((subjectId) => rollCounts[subjectId])), rules);
+    return { subjects, overall };
+};
+
+module.exports = {
+    buildAttendanceMatch,
+    aggregateClassTallies,
+    expandTallies,
+    buildDailySeries,
+    sumCounts,
+    summarizeRoll
+};
@@ -0,0 +1,69 @@
+const { emptyCounts, computeTotals } = require('./attendanceRules');
+const { sumCounts } = require('./attendanceStats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weeks start on Monday; the bucket key is that Monday as YYYY-MM-DD
+const weekKey = (date) => {
+    const day = new Date(date);
+    const monday = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+    return monday.toISOString().split('T')[0];
+};
+
+const monthKey = (date) => new Date(date).toISOString().slice(0, 7);
+
+const BUCKETS = { week: weekKey, month: monthKey };
+
+// attended / total / percentage per subject plus overall for one bucket of counts
+const summarizeBucket = (countsBySubject, subjectIds, rules) => {
+    const subjects = {};
+    subjectIds.forEach((subjectId) => {
+        subjects[subjectId] = computeTotals(countsBySubject[subjectId], rules);
+    });
+    return {
+        subjects,
+        overall: computeTotals(sumCounts(subjectIds.map((subjectId) => countsBySubject[subjectId])), rules)
+    };
+};
+
+/**
+ * Turn one roll's per-day status counts into weekly, monthly and cumulative series.
+ * @param {Array<{ date: Date, subjectId: string, status: string, count: number }>} rows
+ * @param {Array<string>} subjectIds - Subjects to include
+ * @param {object} rules - Class counting rules
+ * @returns {{ weekly: Array, monthly: Array, cumulative: Array }} Oldest bucket first;
+ *          cumulative holds the running totals at the end of each week
+ */
+const buildTrendSeries = (rows, subjectIds, rules) => {
+    const wanted = new Set(subjectIds);
+    const buckets = { week: new Map(), month: new Map() };
+
+    rows.forEach(({ date, subjectId, status, count }) => {
+        if (!wanted.has(String(subjectId))) return;
+        Object.entries(BUCKETS).forEach(([interval, keyOf]) => {
+            const key = keyOf(date);
+            if (!buckets[interval].has(key)) {
+                buckets[interval].set(key, Object.fromEntries(subjectIds.map((id) => [id, emptyCounts()])));
+            }
+            buckets[interval].get(key)[String(subjectId)][status] += count;
+        });
+    });
+
+    const toSeries = (interval) => [...buckets[interval].keys()].sort().map((key) => ({
+        period: key,
+        ...summarizeBucket(buckets[interval].get(key), subjectIds, rules)
+    }));
+
+    const running = Object.fromEntries(subjectIds.map((id) => [id, emptyCounts()]));
+    const cumulative = [...buckets.week.keys()].sort().map((key) => {
+        const week = buckets.week.get(key);
+        subjectIds.forEach((subjectId) => {
+            running[subjectId] = sumCounts([running[subjectId], week[subjectId]]);
+        });
+        return { period: key, ...summarizeBucket(running, subjectIds, rules) };
+    });
+
+    return { weekly: toSeries('week'), monthly: toSeries('month'), cumulative };
+};
+
+module.exports = { weekKey, monthKey, buildTrendSeries };
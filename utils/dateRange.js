@@ -0,0 +1,85 @@
+const CalendarEvent = require('../models/CalendarEvent');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Windows a student report can be scoped to with ?range=
+const NAMED_RANGES = ['all', 'this-week', 'this-month', 'last-30-days', 'since-last-exam'];
+
+const startOfUtcDay = (date) => {
+    const value = new Date(date);
+    return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+};
+
+// null when absent, undefined when present but not a date
+const parseDateQuery = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (!/^\d{4}-\d{2}-\d{2}/.test(String(value))) return undefined;
+    const date = new Date(`${String(value).split('T')[0]}T00:00:00.000Z`);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Resolve ?range=, ?from= and ?to= into a window of attendance dates (both ends inclusive).
+ * A named range sets both bounds; an explicit from / to then narrows or overrides that side.
+ * "since-last-exam" starts the day after the latest exam on the class academic calendar that has ended.
+ * @param {object} query - req.query
+ * @param {object} options - { classId, now? }
+ * @returns {Promise<{ name: string, from: Date|null, to: Date|null } | { error: string }>}
+ */
+const resolveDateRange = async (query, { classId, now = new Date() } = {}) => {
+    const name = query?.range ? String(query.range).toLowerCase() : null;
+    if (name && !NAMED_RANGES.includes(name)) {
+        return { error: `range must be one of ${NAMED_RANGES.join(', ')}` };
+    }
+
+    const explicitFrom = parseDateQuery(query?.from);
+    const explicitTo = parseDateQuery(query?.to);
+    if (explicitFrom === undefined || explicitTo === undefined) {
+        return { error: 'from and to must be YYYY-MM-DD dates' };
+    }
+
+    const today = startOfUtcDay(now);
+    let from = null;
+    let to = null;
+
+    if (name === 'this-week') {
+        // Weeks start on Monday
+        from = new Date(today.getTime() - ((today.getUTCDay() + 6) % 7) * DAY_MS);
+        to = today;
+    } else if (name === 'this-month') {
+        from = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+        to = today;
+    } else if (name === 'last-30-days') {
+        from = new Date(today.getTime() - 29 * DAY_MS);
+        to = today;
+    } else if (name === 'since-last-exam') {
+        const lastExam = await CalendarEvent.findOne({ classId, type: 'exam', endDate: { $lt: today } })
+            .sort({ endDate: -1 })
+            .select('endDate')
+            .lean();
+        if (!lastExam) {
+            return { error: 'No completed exam is on the academic calendar for this class' };
+        }
+        from = new Date(lastExam.endDate.getTime() + DAY_MS);
+    }
+
+    if (explicitFrom) from = explicitFrom;
+    if (explicitTo) to = explicitTo;
+
+    if (from && to && from > to) {
+        return { error: 'from cannot be after to' };
+    }
+
+    return { name: name || (from || to ? 'custom' : 'all'), from, to };
+};
+
+// Mongo filter on Attendance.date for a resolved range ({} when unbounded)
+const buildDateFilter = ({ from, to }) => {
+    if (!from && !to) return {};
+    const date = {};
+    if (from) date.$gte = from;
+    if (to) date.$lte = to;
+    return { date };
+};
+
+module.exports = { NAMED_RANGES, parseDateQuery, resolveDateRange, buildDateFilter };
@@ -0,0 +1,130 @@
+const bcrypt = require('bcryptjs');
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginFailure = require('../models/LoginFailure');
+
+// Failures allowed before a key is locked; each failure after that doubles the lockout up to the cap.
+// "target" is what is being logged into: a class name (admins) or a roll number (student passcodes),
+// counted per IP so that someone guessing from one address cannot lock the real admins or student out.
+// An IP is often shared by a whole school (NAT, proxies), so it gets far more attempts and shorter locks:
+// it stops one source guessing across many classes, the target key stops it hammering one class.
+const LIMITS = {
+    target: { freeAttempts: 5, baseLockoutMs: 30 * 1000, maxLockoutMs: 60 * 60 * 1000 },
+    ip: { freeAttempts: 100, baseLockoutMs: 10 * 1000, maxLockoutMs: 5 * 60 * 1000 }
+};
+
+// Compared against when there is no real hash, so an unknown class or email costs the same time as a wrong PIN
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-pin', 10);
+
+const classThrottleKey = (className) => `class:${String(className || '').trim().toLowerCase()}`;
+const rollThrottleKey = (classId, rollNumber) => `roll:${classId}:${rollNumber}`;
+
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+const throttleKeys = (targetKey, ip) => [
+    { type: 'target', key: `${targetKey}|${ipKey(ip)}`, target: targetKey },
+    { type: 'ip', key: ipKey(ip), target: null }
+];
+
+const lockoutFor = (type, failures) => {
+    const { freeAttempts, baseLockoutMs, maxLockoutMs } = LIMITS[type];
+    if (failures <= freeAttempts) return 0;
+    return Math.min(maxLockoutMs, baseLockoutMs * 2 ** (failures - freeAttempts - 1));
+};
+
+const latestLock = async (filter) => {
+    const throttles = await LoginThrottle.find({ ...filter, lockedUntil: { $gt: new Date() } })
+        .select('lockedUntil')
+        .lean();
+
+    if (throttles.length === 0) return null;
+    return new Date(Math.max(...throttles.map((throttle) => throttle.lockedUntil.getTime())));
+};
+
+/**
+ * Whether the login target (classThrottleKey / rollThrottleKey) is locked for this IP, or the IP itself is.
+ * @returns {Promise<Date|null>} When the latest lock ends, or null
+ */
+const getLockedUntil = (targetKey, ip) => latestLock({ key: { $in: throttleKeys(targetKey, ip).map(({ key }) => key) } });
+
+// Lock on the IP alone, for public routes that are not logins (class-name lookup)
+const getIpLockedUntil = (ip) => latestLock({ key: ipKey(ip) });
+
+// Latest lock on the class name from any IP, for the owner's view
+const getClassLockedUntil = (className) => latestLock({ target: classThrottleKey(className) });
+
+// Add a failure to one key and lock it when over its limit; resolves to the lock end or null
+const countFailure = async ({ type, key, target }, now) => {
+    const throttle = await LoginThrottle.findOneAndUpdate(
+        { key },
+        { $inc: { failures: 1 }, $set: { target, lastFailureAt: now } },
+        { upsert: true, new: true }
+    );
+
+    const lockout = lockoutFor(type, throttle.failures);
+    if (lockout === 0) return null;
+
+    const until = new Date(now.getTime() + lockout);
+    await LoginThrottle.updateOne({ _id: throttle._id }, { $set: { lockedUntil: until } });
+    return until;
+};
+
+// Count a miss against the IP only (a class-name lookup that found nothing)
+const recordIpFailure = (ip) => countFailure(throttleKeys(null, ip)[1], new Date());
+
+/**
+ * Count a failed login for the target and the IP, lock them when over the limit, and
+ * record the event for the class owner (in the background) when the class exists.
+ * @param {object} attempt - { targetKey, ip, userAgent, classId?, method, email?, rollNumber? }
+ * @returns {Promise<Date|null>} Lock end if this failure locked either key
+ */
+const recordLoginFailure = async ({ targetKey, ip, userAgent, classId, method, email, rollNumber }) => {
+    const now = new Date();
+    let lockedUntil = null;
+
+    for (const throttleKey of throttleKeys(targetKey, ip)) {
+        const until = await countFailure(throttleKey, now);
+        if (until && (!lockedUntil || until > lockedUntil)) lockedUntil = until;
+    }
+
+    // Not awaited: the extra write for existing classes would otherwise make their failures measurably
+    // slower than an unknown class name's, telling an attacker which names exist
+    if (classId) {
+        LoginFailure.create({
+            classId,
+            method,
+            email: email ? String(email).trim().toLowerCase().slice(0, 254) : null,
+            rollNumber: rollNumber || null,
+            ip: ip || null,
+            userAgent: userAgent ? String(userAgent).slice(0, 300) : null,
+            lockedUntil
+        }).catch((err) => console.error('Login failure log error:', err));
+    }
+
+    return lockedUntil;
+};
+
+// A successful login clears the target's count for that IP; without an IP (an admin resetting a
+// passcode) it is cleared for every IP. The IP's own count only decays with time.
+const clearThrottle = (targetKey, ip) => (ip === undefined
+    ? LoginThrottle.deleteMany({ target: targetKey })
+    : LoginThrottle.deleteOne({ key: throttleKeys(targetKey, ip)[0].key }));
+
+// Send the same 429 for every lockout so it says nothing about whether the class exists
+const sendLockedOut = (res, lockedUntil) => {
+    const seconds = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+    res.set('Retry-After', String(seconds));
+    return res.status(429).json({ error: `Too many failed attempts. Try again in ${seconds} seconds.`, retryAfter: seconds });
+};
+
+module.exports = {
+    DUMMY_HASH,
+    classThrottleKey,
+    rollThrottleKey,
+    getLockedUntil,
+    getIpLockedUntil,
+    getClassLockedUntil,
+    recordLoginFailure,
+    recordIpFailure,
+    clearThrottle,
+    sendLockedOut
+};
@@ -0,0 +1,70 @@
+const ClassAdmin = require('../models/ClassAdmin');
+const Classroom = require('../models/Classroom');
+
+// What each admin role may do. Every role can view the class's admin-only data.
+const ROLE_PERMISSIONS = {
+    owner: ['class:view', 'attendance:mark', 'reports:manage', 'announcements:manage', 'class:manage', 'admins:manage'],
+    marker: ['class:view', 'attendance:mark'],
+    reviewer: ['class:view', 'reports:manage', 'announcements:manage'],
+    viewer: ['class:view']
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * The current role behind an admin token. Tokens from the shared class PIN carry no adminId
+ * and act as owner while the class allows PIN login; named admins are looked up on every request
+ * so a revoke or role change takes effect immediately instead of when the token expires.
+ * Tokens issued before the class PIN was last changed are rejected for everyone.
+ * @returns {Promise<{ role: string, adminId: ObjectId|null, name: string|null } | null>} null when access is gone
+ */
+const resolveAdminAccess = async (user) => {
+    if (!user || user.role === 'student') return null;
+
+    const classroom = await Classroom.findById(user.classId).select('tokenVersion pinLoginEnabled').lean();
+    if (!classroom || (user.tokenVersion || 0) !== (classroom.tokenVersion || 0)) return null;
+
+    if (!user.adminId) {
+        return classroom.pinLoginEnabled === false ? null : { role: 'owner', adminId: null, name: null };
+    }
+
+    const admin = await ClassAdmin.findOne({ _id: user.adminId, classId: user.classId })
+        .select('name role acceptedAt revokedAt')
+        .lean();
+    if (!admin || !admin.acceptedAt || admin.revokedAt) return null;
+    return { role: admin.role, adminId: admin._id, name: admin.name };
+};
+
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+/**
+ * Route guard replacing the old "any non-student token" check.
+ * Sends the error response and resolves false when the caller may not proceed; on success the
+ * fresh role and name are put on req.user for describeActor().
+ * @param {string} permission - One of the ROLE_PERMISSIONS entries
+ */
+const requirePermission = async (req, res, permission) => {
+    if (req.user?.role === 'student') {
+        res.status(403).json({ error: 'Admin authentication required' });
+        return false;
+    }
+
+    const access = await resolveAdminAccess(req.user);
+    if (!access) {
+        res.status(401).json({ error: 'Admin access has been revoked or the PIN was changed. Please log in again.' });
+        return false;
+    }
+
+    if (!hasPermission(access.role, permission)) {
+        res.status(403).json({ error: `The ${access.role} role is not allowed to do this` });
+        return false;
+    }
+
+    if (access.adminId) {
+        req.user.adminRole = access.role;
+        req.user.adminName = access.name;
+    }
+    return true;
+};
+
+module.exports = { ROLE_PERMISSIONS, ADMIN_ROLES, resolveAdminAccess, hasPermission, requirePermission };
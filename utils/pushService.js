@@ -13,57 +13,91 @@ if (vapidPublicKey && vapidPrivateKey) {
     );
 }
 
+// Deliver one payload to a set of subscriptions, pruning the ones the push service reports as gone
+const deliver = async (subscriptions, { title, body, url }, label) => {
+    const payload = JSON.stringify({
+        title: title || 'Shadow',
+        body: body || 'You have a new update.',
+        url: url || '/',
+        icon: '/icon-192.png',
+        badge: '/logo_92.png'
+    });
+
+    const expiredEndpoints = [];
+
+    const results = await Promise.allSettled(
+        subscriptions.map(sub =>
+            webpush.sendNotification(sub.subscription, payload).catch(err => {
+                // 410 Gone or 404 = subscription expired/invalid
+                if (err.statusCode === 410 || err.statusCode === 404) {
+                    expiredEndpoints.push(sub.subscription.endpoint);
+                }
+                throw err;
+            })
+        )
+    );
+
+    // Auto-cleanup expired subscriptions
+    if (expiredEndpoints.length > 0) {
+        await PushSubscription.deleteMany({
+            'subscription.endpoint': { $in: expiredEndpoints }
+        });
+        console.log(`Cleaned up ${expiredEndpoints.length} expired push subscription(s).`);
+    }
+
+    const sent = results.filter(r => r.status === 'fulfilled').length;
+    console.log(`Push notifications: ${sent}/${subscriptions.length} delivered for ${label}`);
+    return sent;
+};
+
 /**
  * Send push notification to all subscribers of a class.
  * @param {string} classId - The class ID to broadcast to
  * @param {object} payload - { title, body, url }
+ * @param {object} [options] - { excludeRollNumbers } for students who already got a personal push
  */
-const sendPushToClass = async (classId, { title, body, url }) => {
+const sendPushToClass = async (classId, payload, { excludeRollNumbers = [] } = {}) => {
     if (!vapidPublicKey || !vapidPrivateKey) {
         console.warn('VAPID keys not configured, skipping push notifications.');
         return;
     }
 
     try {
-        const subscriptions = await PushSubscription.find({ classId }).lean();
+        const filter = { classId };
+        if (excludeRollNumbers.length > 0) filter.rollNumber = { $nin: excludeRollNumbers.map(String) };
+        const subscriptions = await PushSubscription.find(filter).lean();
 
         if (subscriptions.length === 0) return;
 
-        const payload = JSON.stringify({
-            title: title || 'Shadow',
-            body: body || 'You have a new update.',
-            url: url || '/',
-            icon: '/icon-192.png',
-            badge: '/logo_92.png'
-        });
-
-        const expiredEndpoints = [];
-
-        const results = await Promise.allSettled(
-            subscriptions.map(sub =>
-                webpush.sendNotification(sub.subscription, payload).catch(err => {
-                    // 410 Gone or 404 = subscription expired/invalid
-                    if (err.statusCode === 410 || err.statusCode === 404) {
-                        expiredEndpoints.push(sub.subscription.endpoint);
-                    }
-                    throw err;
-                })
-            )
-        );
-
-        // Auto-cleanup expired subscriptions
-        if (expiredEndpoints.length > 0) {
-            await PushSubscription.deleteMany({
-                'subscription.endpoint': { $in: expiredEndpoints }
-            });
-            console.log(`Cleaned up ${expiredEndpoints.length} expired push subscription(s).`);
-        }
-
-        const sent = results.filter(r => r.status === 'fulfilled').length;
-        console.log(`Push notifications: ${sent}/${subscriptions.length} delivered for class ${classId}`);
+        await deliver(subscriptions, payload, `class ${classId}`);
     } catch (err) {
         console.error('Push notification broadcast error:', err);
     }
 };
 
-module.exports = { sendPushToClass };
+/**
+ * Send push notification to the devices subscribed for one roll number of a class.
+ * @param {string} classId - The class the student belongs to
+ * @param {string} rollNumber - Roll number the subscriptions were registered with
+ * @param {object} payload - { title, body, url }
+ * @returns {Promise<number>} How many devices accepted the notification
+ */
+const sendPushToRoll = async (classId, rollNumber, payload) => {
+    if (!vapidPublicKey || !vapidPrivateKey) {
+        console.warn('VAPID keys not configured, skipping push notifications.');
+        return 0;
+    }
+
+    try {
+        const subscriptions = await PushSubscription.find({ classId, rollNumber: String(rollNumber) }).lean();
+
+        if (subscriptions.length === 0) return 0;
+
+        return await deliver(subscriptions, payload, `roll ${rollNumber} of class ${classId}`);
+    } catch (err) {
+        console.error('Push notification send error:', err);
+        return 0;
+    }
+};
+
+module.exports = { sendPushToClass, sendPushToRoll };
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { DUMMY_HASH } = require('./loginThrottle');
+
+const RECOVERY_CODE_COUNT = 8;
+
+// Codes are shown as xxxx-xxxx-xxxx; dashes, spaces and case are ignored when one is entered
+const normalizeCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+/**
+ * Fresh one-time recovery codes. The plain codes are returned to the admin once;
+ * only the bcrypt hashes are stored, like adminPin.
+ * @returns {Promise<{ codes: Array<string>, stored: Array<{ codeHash: string }> }>}
+ */
+const generateRecoveryCodes = async (count = RECOVERY_CODE_COUNT) => {
+    const codes = Array.from({ length: count }, () =>
+        crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-')
+    );
+    const stored = await Promise.all(codes.map(async (code) => ({ codeHash: await bcrypt.hash(normalizeCode(code), 10) })));
+    return { codes, stored };
+};
+
+/**
+ * Index of the unused stored code matching the entered one, or -1.
+ * Always runs at least RECOVERY_CODE_COUNT comparisons (used and missing codes are compared against
+ * DUMMY_HASH), so the time taken says nothing about whether the class exists or how many codes it has left.
+ * @param {Array<{ codeHash: string, usedAt: Date|null }>} stored - [] for an unknown class
+ */
+const findRecoveryCode = async (stored, code) => {
+    const entries = stored || [];
+    const normalized = normalizeCode(code);
+    let found = -1;
+
+    for (let index = 0; index < Math.max(RECOVERY_CODE_COUNT, entries.length); index += 1) {
+        const entry = entries[index];
+        const usable = Boolean(entry && !entry.usedAt);
+        const matches = await bcrypt.compare(normalized, usable ? entry.codeHash : DUMMY_HASH);
+        if (usable && matches && normalized && found === -1) found = index;
+    }
+    return found;
+};
+
+module.exports = { RECOVERY_CODE_COUNT, generateRecoveryCodes, findRecoveryCode };
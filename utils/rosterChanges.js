@@ -0,0 +1,294 @@
+const mongoose = require('mongoose');
+const Classroom = require('../models/Classroom');
+const Attendance = require('../models/Attendance');
+const AttendanceRevision = require('../models/AttendanceRevision');
+const AttendanceAdjustment = require('../models/AttendanceAdjustment');
+const AttendanceAlertState = require('../models/AttendanceAlertState');
+const PushSubscription = require('../models/PushSubscription');
+const Report = require('../models/Report');
+const StudentProfile = require('../models/StudentProfile');
+const StudentCredential = require('../models/StudentCredential');
+const Term = require('../models/Term');
+const { STATUS_FIELDS } = require('./attendanceRules');
+const { revokeSessions } = require('./sessions');
+
+const sanitizeRollNumber = (value) => {
+    if (value === undefined || value === null) return null;
+    const cleaned = String(value).trim();
+    return cleaned || null;
+};
+
+const compareRollNumbers = (a, b) =>
+    String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+
+const STATUS_ARRAY_FIELDS = Object.values(STATUS_FIELDS);
+
+/**
+ * Check a set of renames against the roster. Targets may reuse a roll that is itself renamed
+ * away in the same request, so swaps and shifts (1→2, 2→3) are allowed.
+ * @param {Array<string>} roster - Current roll numbers
+ * @param {Array<{ from, to }>} renames
+ * @returns {{ renames: Array<{ from: string, to: string }> } | { error: string }}
+ */
+const validateRenames = (roster, renames) => {
+    const onRoster = new Set(roster);
+    const sources = new Set();
+    const targets = new Set();
+    const cleaned = [];
+
+    for (const entry of renames) {
+        const from = sanitizeRollNumber(entry?.from);
+        const to = sanitizeRollNumber(entry?.to);
+        if (!from || !to) return { error: 'Each rename needs a from and a to roll number' };
+        if (!onRoster.has(from)) return { error: `Roll number ${from} is not in this class` };
+        if (sources.has(from)) return { error: `Roll number ${from} is renamed more than once` };
+        if (targets.has(to)) return { error: `Roll number ${to} is the target of more than one rename` };
+        sources.add(from);
+        targets.add(to);
+        if (from !== to) cleaned.push({ from, to });
+    }
+
+    for (const { to } of cleaned) {
+        if (onRoster.has(to) && !sources.has(to)) {
+            return { error: `Roll number ${to} already exists in this class` };
+        }
+    }
+
+    if (cleaned.length === 0) return { error: 'Nothing to rename' };
+    return { renames: cleaned };
+};
+
+/**
+ * Renames for a bulk renumber: every roll keeps its trailing number under a new prefix,
+ * zero-padded, e.g. prefix "21CS" with padTo 3 turns 1–60 into 21CS001–21CS060.
+ * @returns {{ renames: Array<{ from, to }> } | { error: string }}
+ */
+const buildRenumbering = (roster, { prefix = '', padTo = 0 } = {}) => {
+    const width = Number(padTo) || 0;
+    if (!Number.isInteger(width) || width < 0 || width > 10) {
+        return { error: 'padTo must be a whole number between 0 and 10' };
+    }
+
+    const renames = [];
+    for (const roll of roster) {
+        const match = String(roll).match(/(\d+)$/);
+        if (!match) return { error: `Roll number ${roll} does not end in a number` };
+        renames.push({ from: roll, to: `${String(prefix).trim()}${String(Number(match[1])).padStart(width, '0')}` });
+    }
+    return validateRenames(roster, renames);
+};
+
+// Roster after renames / removals, in roll-number order
+const nextRoster = (roster, { renames = [], removals = [] }) => {
+    const renamed = new Map(renames.map(({ from, to }) => [from, to]));
+    const removed = new Set(removals);
+    return roster
+        .filter((roll) => !removed.has(roll))
+        .map((roll) => renamed.get(roll) || roll)
+        .sort(compareRollNumbers);
+};
+
+// Attendance and revision periods that list any of the rolls (legacy numeric entries included)
+const periodRollQuery = (rolls) => {
+    const candidates = rolls.flatMap((roll) => (/^\d+$/.test(roll) ? [roll, Number(roll)] : [roll]));
+    return STATUS_ARRAY_FIELDS.map((field) => ({ [`periods.${field}`]: { $in: candidates } }));
+};
+
+const renamePeriods = (periods, renamed) => (periods || []).map((period) => {
+    const next = { ...period };
+    STATUS_ARRAY_FIELDS.forEach((field) => {
+        if (!Array.isArray(period[field])) return;
+        next[field] = period[field].map((roll) => {
+            const cleaned = sanitizeRollNumber(roll);
+            return renamed.has(cleaned) ? renamed.get(cleaned) : roll;
+        });
+    });
+    return next;
+});
+
+/**
+ * How many stored documents mention the rolls: what a rename rewrites and what history a removal keeps.
+ * @returns {Promise<object>} Counts per kind of record
+ */
+const countRollReferences = async (classId, rolls) => {
+    const [attendanceDays, revisions, reports, pushSubscriptions, adjustments, archivedTerms, profiles, passcodes] = await Promise.all([
+        Attendance.countDocuments({ classId, $or: periodRollQuery(rolls) }),
+        AttendanceRevision.countDocuments({
+            classId,
+            $or: [...periodRollQuery(rolls), { 'diff.rolls.rollNumber': { $in: rolls } }]
+        }),
+        Report.countDocuments({ classId, studentRoll: { $in: rolls } }),
+        PushSubscription.countDocuments({ classId, rollNumber: { $in: rolls } }),
+        AttendanceAdjustment.countDocuments({ classId, rollNumber: { $in: rolls } }),
+        Term.countDocuments({ classId, rollNumbers: { $in: rolls } }),
+        StudentProfile.countDocuments({ classId, rollNumber: { $in: rolls } }),
+        StudentCredential.countDocuments({ classId, rollNumber: { $in: rolls } })
+    ]);
+    return { attendanceDays, revisions, reports, pushSubscriptions, adjustments, archivedTerms, profiles, passcodes };
+};
+
+// Rewrite a single roll-number field on every matching document, by _id so swaps cannot collide
+const renameField = async (Model, classId, field, renamed, session) => {
+    const docs = await Model.find({ classId, [field]: { $in: [...renamed.keys()] } }).select(field).session(session).lean();
+    if (docs.length === 0) return 0;
+    await Model.bulkWrite(docs.map((doc) => ({
+        updateOne: { filter: { _id: doc._id }, update: { $set: { [field]: renamed.get(doc[field]) } } }
+    })), { session });
+    return docs.length;
+};
+
+// Move documents that are unique per roll to their new roll; a swap first moves them out of the way
+const renameUniqueRolls = async (Model, classId, renamed, session) => {
+    const docs = await Model.find({ classId, rollNumber: { $in: [...renamed.keys()] } }).select('rollNumber').session(session).lean();
+    if (docs.length === 0) return 0;
+    await Model.bulkWrite([
+        ...docs.map((doc) => ({
+            updateOne: { filter: { _id: doc._id }, update: { $set: { rollNumber: `renaming:${doc._id}` } } }
+        })),
+        ...docs.map((doc) => ({
+            updateOne: { filter: { _id: doc._id }, update: { $set: { rollNumber: renamed.get(doc.rollNumber) } } }
+        }))
+    ], { session });
+    return docs.length;
+};
+
+/**
+ * Rename roll numbers everywhere history refers to them: the roster and blocked list, every
+ * attendance day (live and archived, locked days included; the marks themselves do not change),
+ * revision snapshots, reports, push subscriptions, adjustments, student profiles and passcodes,
+ * and archived term rosters.
+ * Attendance versions are bumped so an editor still holding the old roll numbers has to reload.
+ * Students logged in under a renamed roll are signed out: their token names the old roll, which after
+ * a shift or swap belongs to someone else.
+ * Everything runs in one transaction (so MongoDB has to be a replica set): a failure part-way must not
+ * leave history under roll numbers the roster does not have yet, which a retry would then refuse.
+ * Writes in a transaction run one after another.
+ * @param {object} [actor] - describeActor() of the admin, recorded on the revoked sessions
+ * @returns {Promise<object>} Counts per kind of record rewritten
+ */
+const applyRenames = (classroom, renames, actor = null) => mongoose.connection.transaction(async (session) => {
+    const classId = classroom._id;
+    const renamed = new Map(renames.map(({ from, to }) => [from, to]));
+    const rolls = [...renamed.keys()];
+    const renameList = (list) => (list || []).map((roll) => {
+        const cleaned = sanitizeRollNumber(roll);
+        return renamed.has(cleaned) ? renamed.get(cleaned) : roll;
+    });
+
+    const days = await Attendance.find({ classId, $or: periodRollQuery(rolls) }).select('periods').session(session).lean();
+    if (days.length > 0) {
+        await Attendance.bulkWrite(days.map((day) => ({
+            updateOne: {
+                filter: { _id: day._id },
+                update: { $set: { periods: renamePeriods(day.periods, renamed) }, $inc: { version: 1 } }
+            }
+        })), { session });
+    }
+
+    const revisions = await AttendanceRevision.find({
+        classId,
+        $or: [...periodRollQuery(rolls), { 'diff.rolls.rollNumber': { $in: rolls } }]
+    }).select('periods diff').session(session).lean();
+    if (revisions.length > 0) {
+        await AttendanceRevision.bulkWrite(revisions.map((revision) => ({
+            updateOne: {
+                filter: { _id: revision._id },
+                update: {
+                    $set: {
+                        periods: renamePeriods(revision.periods, renamed),
+                        diff: (revision.diff || []).map((entry) => ({
+                            ...entry,
+                            rolls: (entry.rolls || []).map((change) => ({
+                                ...change,
+                                rollNumber: renamed.get(change.rollNumber) || change.rollNumber
+                            }))
+                        }))
+                    }
+                }
+            }
+        })), { session });
+    }
+
+    const terms = await Term.find({ classId, rollNumbers: { $in: rolls } }).select('rollNumbers').session(session).lean();
+    if (terms.length > 0) {
+        await Term.bulkWrite(terms.map((term) => ({
+            updateOne: { filter: { _id: term._id }, update: { $set: { rollNumbers: renameList(term.rollNumbers) } } }
+        })), { session });
+    }
+
+    const profiles = await renameUniqueRolls(StudentProfile, classId, renamed, session);
+    const passcodes = await renameUniqueRolls(StudentCredential, classId, renamed, session);
+
+    const signedOut = await revokeSessions(
+        { classId, kind: 'student', rollNumber: { $in: rolls } },
+        { actor, reason: 'Roll number renamed', session }
+    );
+
+    const reports = await renameField(Report, classId, 'studentRoll', renamed, session);
+    const pushSubscriptions = await renameField(PushSubscription, classId, 'rollNumber', renamed, session);
+    const adjustments = await renameField(AttendanceAdjustment, classId, 'rollNumber', renamed, session);
+    // Alert levels are rebuilt at the next marking; renaming them in place could collide on a swap
+    await AttendanceAlertState.deleteMany({ classId, rollNumber: { $in: rolls } }, { session });
+
+    await Classroom.updateOne(
+        { _id: classId },
+        {
+            $set: {
+                rollNumbers: nextRoster(classroom.rollNumbers.map(sanitizeRollNumber).filter(Boolean), { renames }),
+                blockedRollNumbers: renameList(classroom.blockedRollNumbers)
+            }
+        },
+        { session }
+    );
+
+    return {
+        attendanceDays: days.length,
+        revisions: revisions.length,
+        reports,
+        pushSubscriptions,
+        adjustments,
+        archivedTerms: terms.length,
+        profiles,
+        passcodes,
+        signedOut
+    };
+});
+
+/**
+ * Take rolls off the roster. Their marked attendance, reports and adjustments stay on record
+ * (re-adding the roll brings them back); push subscriptions, alert levels, profiles and passcodes are dropped,
+ * and students logged in under the rolls are signed out. Runs in one transaction, like applyRenames.
+ * @returns {Promise<{ pushSubscriptions: number, profiles: number, passcodes: number, signedOut: number }>}
+ */
+const applyRemovals = (classroom, removals, actor = null) => mongoose.connection.transaction(async (session) => {
+    const classId = classroom._id;
+    const pushSubscriptions = await PushSubscription.deleteMany({ classId, rollNumber: { $in: removals } }, { session });
+    const profiles = await StudentProfile.deleteMany({ classId, rollNumber: { $in: removals } }, { session });
+    const passcodes = await StudentCredential.deleteMany({ classId, rollNumber: { $in: removals } }, { session });
+    const signedOut = await revokeSessions(
+        { classId, kind: 'student', rollNumber: { $in: removals } },
+        { actor, reason: 'Removed from the roster', session }
+    );
+    await AttendanceAlertState.deleteMany({ classId, rollNumber: { $in: removals } }, { session });
+    await Classroom.updateOne(
+        { _id: classId },
+        { $pull: { rollNumbers: { $in: removals }, blockedRollNumbers: { $in: removals } } },
+        { session }
+    );
+
+    return {
+        pushSubscriptions: pushSubscriptions.deletedCount,
+        profiles: profiles.deletedCount,
+        passcodes: passcodes.deletedCount,
+        signedOut
+    };
+});
+
+module.exports = {
+    validateRenames,
+    buildRenumbering,
+    nextRoster,
+    countRollReferences,
+    applyRenames,
+    applyRemovals
+};
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const Classroom = require('../models/Classroom');
+
+const TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// /verify-token renews a session only this long after the original login
+const MAX_SESSION_AGE_MS = 90 * 24 * 60 * 60 * 1000;
+// lastSeenAt is written at most this often, not on every request
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Record a session and sign its token. The session's jti goes into the JWT so
+ * middleware/auth.js can look it up.
+ * @param {object} req - Request the login came in on (user agent and IP are kept for the session list)
+ * @param {object} claims - JWT payload, e.g. { classId, role: 'admin', adminId?, tokenVersion }
+ * @param {object} [options] - { startedAt } to carry the original login time through a renewal
+ * @returns {Promise<string>} The signed token
+ */
+const issueSessionToken = async (req, claims, { startedAt } = {}) => {
+    const jti = crypto.randomBytes(16).toString('hex');
+    const now = new Date();
+
+    await Session.create({
+        jti,
+        classId: claims.classId,
+        kind: claims.role === 'student' ? 'student' : 'admin',
+        adminId: claims.adminId || null,
+        rollNumber: claims.rollNumber || null,
+        userAgent: req.get('User-Agent') ? String(req.get('User-Agent')).slice(0, 300) : null,
+        ip: req.ip || null,
+        startedAt: startedAt || now,
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + TOKEN_TTL_MS)
+    });
+
+    return jwt.sign(claims, process.env.JWT_SECRET, { expiresIn: TOKEN_TTL_MS / 1000, jwtid: jti });
+};
+
+/**
+ * The live session behind a decoded token, or null when it was revoked, expired or never recorded.
+ * Tokens issued before sessions existed carry no jti. So that deploying sessions does not log everyone
+ * out, they are honoured until their own 30-day expiry (already checked by jwt.verify) as a
+ * { legacy: true } session; /verify-token swaps them for a real one. They cannot be revoked one by one,
+ * only all at once through the class's legacySessionsRevokedAt (set by "sign out everywhere").
+ */
+const findActiveSession = async (decoded) => {
+    if (!decoded?.jti) {
+        if (!decoded?.iat || !decoded?.exp || !mongoose.Types.ObjectId.isValid(String(decoded.classId))) return null;
+
+        const classroom = await Classroom.findById(decoded.classId).select('legacySessionsRevokedAt').lean();
+        if (!classroom) return null;
+        const revokedAt = classroom.legacySessionsRevokedAt?.[decoded.role === 'student' ? 'student' : 'admin'];
+        if (revokedAt && decoded.iat * 1000 <= new Date(revokedAt).getTime()) return null;
+
+        return { _id: null, legacy: true, startedAt: new Date(decoded.iat * 1000), lastSeenAt: new Date() };
+    }
+
+    const session = await Session.findOne({ jti: decoded.jti, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('startedAt lastSeenAt')
+        .lean();
+    if (!session) return null;
+
+    if (Date.now() - new Date(session.lastSeenAt).getTime() > TOUCH_INTERVAL_MS) {
+        await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } });
+    }
+    return session;
+};
+
+/**
+ * Revoke every active session matching the filter.
+ * @param {object} [options] - { actor, reason, session } (session: a transaction to run in)
+ * @returns {Promise<number>} How many sessions were revoked
+ */
+const revokeSessions = async (filter, { actor = null, reason = null, session = null } = {}) => {
+    const result = await Session.updateMany(
+        { ...filter, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { revokedAt: new Date(), revokedBy: actor, revokeReason: reason } },
+        { session }
+    );
+    return result.modifiedCount;
+};
+
+module.exports = { MAX_SESSION_AGE_MS, issueSessionToken, findActiveSession, revokeSessions };
@@ -0,0 +1,164 @@
+const ExcelJS = require('exceljs');
+
+// Files are sent as base64 in the JSON body (optionally as a data URL), same as the AI image scans
+const decodeBase64File = (fileBase64) => {
+    const base64Data = String(fileBase64).replace(/^data:[^;]+;base64,/, '');
+    return Buffer.from(base64Data, 'base64');
+};
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Work out whether an upload is CSV or XLSX from an explicit format, the file name or the data URL.
+ * @returns {'csv'|'xlsx'|null}
+ */
+const detectFormat = ({ format, fileName, fileBase64 }) => {
+    const explicit = String(format || '').toLowerCase();
+    if (explicit === 'csv' || explicit === 'xlsx') return explicit;
+
+    const extension = String(fileName || '').toLowerCase().split('.').pop();
+    if (extension === 'csv' || extension === 'xlsx') return extension;
+
+    const mimeMatch = String(fileBase64 || '').match(/^data:([^;]+);base64,/);
+    if (mimeMatch) {
+        if (mimeMatch[1] === XLSX_MIME) return 'xlsx';
+        if (mimeMatch[1].includes('csv') || mimeMatch[1] === 'text/plain') return 'csv';
+    }
+
+    return null;
+};
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and CRLF / LF line endings.
+ * @returns {Array<Array<string>>}
+ */
+const parseCsv = (text) => {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i += 1;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+};
+
+// Flatten ExcelJS cell values (rich text, formulas, hyperlinks) to plain values; dates stay Date objects
+const cellToValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value;
+    if (typeof value !== 'object') return value;
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('');
+    if (value.result !== undefined) return cellToValue(value.result);
+    if (value.text !== undefined) return cellToValue(value.text);
+    return String(value);
+};
+
+/**
+ * Read the rows of an uploaded CSV or XLSX file (first worksheet unless sheetName is given).
+ * @returns {Promise<{ rows?: Array<Array>, error?: string }>}
+ */
+const readSheetRows = async ({ fileBase64, format, fileName, sheetName }) => {
+    if (!fileBase64) return { error: 'No file provided' };
+
+    const detected = detectFormat({ format, fileName, fileBase64 });
+    if (!detected) return { error: 'Unsupported file type. Upload a .csv or .xlsx file' };
+
+    const buffer = decodeBase64File(fileBase64);
+
+    if (detected === 'csv') {
+        return { rows: parseCsv(buffer.toString('utf8')) };
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (err) {
+        return { error: 'Could not read the XLSX file' };
+    }
+
+    const worksheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+    if (!worksheet) return { error: sheetName ? `Sheet "${sheetName}" not found` : 'The workbook has no sheets' };
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: true }, (row) => {
+        // row.values is 1-indexed
+        rows.push(Array.from(row.values.slice(1), cellToValue));
+    });
+
+    return { rows };
+};
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvField = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString().split('T')[0] : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise rows to CSV (CRLF line endings, with a BOM so Excel detects UTF-8).
+ * @param {Array<Array>} rows
+ */
+const toCsv = (rows) => `\uFEFF${rows.map((row) => row.map(escapeCsvField).join(',')).join('\r\n')}\r\n`;
+
+/**
+ * Build an XLSX workbook with one worksheet per entry; the first row of each sheet is bold.
+ * @param {Array<{ name: string, rows: Array<Array> }>} sheets
+ * @returns {Promise<Buffer>}
+ */
+const buildXlsx = async (sheets) => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Shadow';
+
+    sheets.forEach(({ name, rows }) => {
+        const worksheet = workbook.addWorksheet(name);
+        rows.forEach((row) => worksheet.addRow(row));
+        if (rows.length > 0) {
+            worksheet.getRow(1).font = { bold: true };
+            worksheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 1 }];
+        }
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = { detectFormat, parseCsv, readSheetRows, toCsv, buildXlsx, XLSX_MIME };
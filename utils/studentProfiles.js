@@ -0,0 +1,107 @@
+const StudentProfile = require('../models/StudentProfile');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Header spellings the CSV upload understands, compared lower-cased without spaces / punctuation
+const HEADER_ALIASES = {
+    rollNumber: ['roll', 'rollno', 'rollnumber', 'registerno', 'regno'],
+    name: ['name', 'studentname', 'fullname'],
+    email: ['email', 'emailid', 'mail'],
+    batch: ['batch', 'labbatch', 'section']
+};
+
+const sanitizeRollNumber = (value) => {
+    if (value === undefined || value === null) return null;
+    const cleaned = String(value).trim();
+    return cleaned || null;
+};
+
+const cleanText = (value) => {
+    if (value === undefined || value === null) return null;
+    const cleaned = String(value).trim();
+    return cleaned || null;
+};
+
+/**
+ * Validate the editable fields of one profile.
+ * @returns {{ profile: { name, email, batch } } | { error: string }}
+ */
+const sanitizeProfileInput = (input) => {
+    const name = cleanText(input?.name);
+    const email = cleanText(input?.email);
+    const batch = cleanText(input?.batch);
+
+    if (!name) return { error: 'name is required' };
+    if (name.length > 100) return { error: 'name must be at most 100 characters' };
+    if (email && (email.length > 254 || !EMAIL_PATTERN.test(email))) return { error: `${email} is not a valid email` };
+    if (batch && batch.length > 50) return { error: 'batch must be at most 50 characters' };
+
+    return { profile: { name, email: email ? email.toLowerCase() : null, batch } };
+};
+
+/**
+ * Read profiles from uploaded sheet rows. The first row is the header; roll number and name columns are required.
+ * @param {Array<Array>} rows - readSheetRows() output
+ * @param {Array<string>} rollNumbers - Class roster; rows for other rolls are reported as errors
+ * @returns {{ profiles: Array, errors: Array<{ row: number, error: string }> } | { error: string }}
+ */
+const parseProfileSheet = (rows, rollNumbers) => {
+    const [header = [], ...body] = rows || [];
+    const columns = {};
+    header.forEach((cell, index) => {
+        const key = String(cell ?? '').toLowerCase().replace(/[^a-z]/g, '');
+        Object.entries(HEADER_ALIASES).forEach(([field, aliases]) => {
+            if (columns[field] === undefined && aliases.includes(key)) columns[field] = index;
+        });
+    });
+
+    if (columns.rollNumber === undefined || columns.name === undefined) {
+        return { error: 'The first row must name a roll number column and a name column' };
+    }
+
+    const roster = new Set(rollNumbers);
+    const seen = new Set();
+    const profiles = [];
+    const errors = [];
+
+    body.forEach((row, index) => {
+        const rowNumber = index + 2;
+        if (!row || row.every((cell) => cleanText(cell) === null)) return;
+
+        const rollNumber = sanitizeRollNumber(row[columns.rollNumber]);
+        if (!rollNumber || !roster.has(rollNumber)) {
+            errors.push({ row: rowNumber, error: `Roll number ${rollNumber || '(empty)'} is not in this class` });
+            return;
+        }
+        if (seen.has(rollNumber)) {
+            errors.push({ row: rowNumber, error: `Roll number ${rollNumber} appears more than once` });
+            return;
+        }
+
+        const { profile, error } = sanitizeProfileInput({
+            name: row[columns.name],
+            email: columns.email === undefined ? null : row[columns.email],
+            batch: columns.batch === undefined ? null : row[columns.batch]
+        });
+        if (error) {
+            errors.push({ row: rowNumber, error: `${rollNumber}: ${error}` });
+            return;
+        }
+
+        seen.add(rollNumber);
+        profiles.push({ rollNumber, ...profile });
+    });
+
+    return { profiles, errors };
+};
+
+/**
+ * Profiles of a class keyed by roll number, for admin responses and exports.
+ * @returns {Promise<Map<string, { name, email, batch }>>}
+ */
+const loadProfiles = async (classId) => {
+    const profiles = await StudentProfile.find({ classId }).select('rollNumber name email batch -_id').lean();
+    return new Map(profiles.map(({ rollNumber, ...profile }) => [rollNumber, profile]));
+};
+
+module.exports = { sanitizeProfileInput, parseProfileSheet, loadProfiles };
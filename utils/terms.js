@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Term = require('../models/Term');
+
+/**
+ * Which term a read is scoped to: ?term=<termId> for an archived term, otherwise the running one.
+ * @returns {Promise<{ termId: ObjectId|null, term: object|null } | { statusCode: number, error: string }>}
+ */
+const resolveTerm = async (classId, termParam) => {
+    if (!termParam || termParam === 'current') return { termId: null, term: null };
+    if (!mongoose.Types.ObjectId.isValid(String(termParam))) {
+        return { statusCode: 400, error: 'Invalid Term ID' };
+    }
+
+    const term = await Term.findOne({ _id: termParam, classId }).lean();
+    if (!term) return { statusCode: 404, error: 'Term not found' };
+    return { termId: term._id, term };
+};
+
+/**
+ * The class as it was during a term. Archived terms use their snapshot of subjects, roster and
+ * counting rules; privacy blocks stay live so a student hidden today is hidden in old terms too.
+ */
+const applyTermSnapshot = (classroom, term) => {
+    if (!term) return classroom;
+    return {
+        ...classroom,
+        subjects: term.subjects || [],
+        rollNumbers: term.rollNumbers || [],
+        attendanceRules: term.attendanceRules || classroom.attendanceRules,
+        timetables: []
+    };
+};
+
+// Running term first, then archived terms newest first
+const listTerms = async (classroom) => {
+    const archived = await Term.find({ classId: classroom._id })
+        .select('name startDate endDate archivedAt')
+        .sort({ endDate: -1 })
+        .lean();
+
+    return [
+        {
+            _id: null,
+            name: classroom.currentTerm?.name || 'Current term',
+            startDate: classroom.currentTerm?.startDate || null,
+            endDate: null,
+            status: 'active'
+        },
+        ...archived.map((term) => ({ ...term, status: 'archived' }))
+    ];
+};
+
+module.exports = { resolveTerm, applyTermSnapshot, listTerms };
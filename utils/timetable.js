@@ -0,0 +1,86 @@
+// Weekly timetable helpers. Dates are the UTC-midnight dates used by Attendance.date.
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Accepts 0-6 (0 = Sunday) or a day name / three-letter abbreviation.
+ * @returns {number|null}
+ */
+const parseWeekday = (value) => {
+    if (Number.isInteger(value) && value >= 0 && value <= 6) return value;
+    const text = String(value ?? '').trim().toLowerCase();
+    if (/^[0-6]$/.test(text)) return Number(text);
+    const index = WEEKDAY_NAMES.findIndex((name) => text.length >= 3 && name.startsWith(text));
+    return index === -1 ? null : index;
+};
+
+/**
+ * Validate timetable slots against the class subjects.
+ * @returns {{ slots?: Array, error?: string }}
+ */
+const sanitizeSlots = (slots, subjects) => {
+    if (!Array.isArray(slots) || slots.length === 0) {
+        return { error: 'slots must be a non-empty array' };
+    }
+
+    const subjectIds = new Set((subjects || []).map((subject) => subject._id.toString()));
+    const seen = new Set();
+    const cleaned = [];
+
+    for (const slot of slots) {
+        const weekday = parseWeekday(slot?.weekday);
+        const periodNum = Number(slot?.periodNum);
+        const subjectId = String(slot?.subjectId || '');
+
+        if (weekday === null) return { error: `Invalid weekday: ${slot?.weekday}` };
+        if (!Number.isInteger(periodNum) || periodNum < 1) return { error: `Invalid periodNum: ${slot?.periodNum}` };
+        if (!subjectIds.has(subjectId)) return { error: `subjectId ${subjectId} does not match a subject of this class` };
+
+        const key = `${weekday}#${periodNum}`;
+        if (seen.has(key)) {
+            return { error: `Period ${periodNum} on ${WEEKDAY_NAMES[weekday]} is listed more than once` };
+        }
+        seen.add(key);
+        cleaned.push({ weekday, periodNum, subjectId });
+    }
+
+    cleaned.sort((a, b) => a.weekday - b.weekday || a.periodNum - b.periodNum);
+    return { slots: cleaned };
+};
+
+/**
+ * The timetable version in force on a date (latest validFrom on or before it).
+ * @returns {object|null}
+ */
+const findTimetableForDate = (classroom, date) => {
+    const time = new Date(date).getTime();
+    return (classroom?.timetables || [])
+        .filter((timetable) => new Date(timetable.validFrom).getTime() <= time)
+        .sort((a, b) => new Date(b.validFrom) - new Date(a.validFrom))[0] || null;
+};
+
+/**
+ * Periods the timetable schedules on a date, with subject names from the current class subjects.
+ * Slots pointing at subjects that were since deleted are skipped.
+ * @returns {{ timetable: object|null, periods: Array<{ periodNum, subjectId, subjectName }> }}
+ */
+const getScheduledPeriods = (classroom, date) => {
+    const timetable = findTimetableForDate(classroom, date);
+    if (!timetable) return { timetable: null, periods: [] };
+
+    const weekday = new Date(date).getUTCDay();
+    const subjectsById = new Map((classroom.subjects || []).map((subject) => [subject._id.toString(), subject]));
+
+    const periods = timetable.slots
+        .filter((slot) => slot.weekday === weekday && subjectsById.has(String(slot.subjectId)))
+        .sort((a, b) => a.periodNum - b.periodNum)
+        .map((slot) => ({
+            periodNum: slot.periodNum,
+            subjectId: String(slot.subjectId),
+            subjectName: subjectsById.get(String(slot.subjectId)).name
+        }));
+
+    return { timetable, periods };
+};
+
+module.exports = { WEEKDAY_NAMES, parseWeekday, sanitizeSlots, findTimetableForDate, getScheduledPeriods };